@@ -0,0 +1,21 @@
+// Token settings, read from the environment
+const ROLES = ['admin', 'recruiter', 'client'];
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('JWT_SECRET is not set; using an insecure development secret');
+  jwtSecret = 'development-only-secret';
+}
+
+module.exports = {
+  ROLES,
+  jwtSecret,
+  // Audience of access tokens, so tokens signed for other uses (e.g. resume links) aren't accepted as logins
+  accessTokenAudience: 'api',
+  // Access tokens are short-lived; clients renew them with a refresh token
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7')
+};
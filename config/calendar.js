@@ -0,0 +1,9 @@
+// iCalendar export settings, read from the environment
+module.exports = {
+  productId: '-//candidate-hotlist-api//Interviews//EN',
+  // Right-hand side of each event UID, so UIDs stay unique next to other calendars' events
+  uidDomain: process.env.CALENDAR_UID_DOMAIN || 'candidate-hotlist-api',
+  // Calendar feeds include interviews from this many days back
+  feedPastDays: parseInt(process.env.CALENDAR_FEED_PAST_DAYS || '30'),
+  feedMaxEvents: parseInt(process.env.CALENDAR_FEED_MAX_EVENTS || '500')
+};
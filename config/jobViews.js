@@ -0,0 +1,20 @@
+// Job view tracking settings, read from the environment
+const { jwtSecret } = require('./auth');
+
+// User agents of crawlers, link previewers, monitors and HTTP libraries; their views aren't recorded
+const DEFAULT_BOT_PATTERN = [
+  'bot', 'crawl', 'spider', 'slurp', 'mediapartners', 'facebookexternalhit', 'embedly', 'preview',
+  'monitor', 'pingdom', 'uptime', 'headless', 'lighthouse', 'curl', 'wget', 'python-requests',
+  'python-urllib', 'aiohttp', 'httpclient', 'okhttp', 'axios', 'node-fetch', 'go-http-client', 'java/', 'postman'
+].join('|');
+
+module.exports = {
+  // Views of a job by the same visitor within one window of this many minutes count once
+  dedupeWindowMinutes: parseInt(process.env.JOB_VIEW_DEDUPE_MINUTES || '30'),
+  // Key for the visitor hashes, so stored ones can't be matched to IP addresses by trying them all
+  visitorSecret: process.env.JOB_VIEW_SECRET || jwtSecret,
+  // Override with JOB_VIEW_BOT_PATTERN, a case-insensitive regular expression
+  botPattern: new RegExp(process.env.JOB_VIEW_BOT_PATTERN || DEFAULT_BOT_PATTERN, 'i'),
+  // Raw view events are deleted after this many days
+  retentionDays: parseInt(process.env.JOB_VIEW_RETENTION_DAYS || '365')
+};
@@ -0,0 +1,29 @@
+// API rate limits, read from the environment
+
+const limit = (name, fallback) => parseInt(process.env[name] || fallback);
+
+// A hop count ("1"), true/false, or addresses and subnets as Express accepts them
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+module.exports = {
+  // Set RATE_LIMIT_ENABLED=false to turn limiting off, e.g. for load tests
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  windowSeconds: limit('RATE_LIMIT_WINDOW_SECONDS', '60'),
+  // Requests allowed per window. Signed-in users are counted by account, everyone else by IP address.
+  // Reads are GET and HEAD requests; writes are everything else.
+  read: {
+    perIp: limit('RATE_LIMIT_READ_PER_IP', '120'),
+    perUser: limit('RATE_LIMIT_READ_PER_USER', '600')
+  },
+  write: {
+    perIp: limit('RATE_LIMIT_WRITE_PER_IP', '30'),
+    perUser: limit('RATE_LIMIT_WRITE_PER_USER', '120')
+  },
+  // Value for Express's "trust proxy" setting, so req.ip is the client's address behind a load balancer,
+  // e.g. 1 for one proxy hop. Off by default: X-Forwarded-For is then ignored.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
+};
@@ -0,0 +1,41 @@
+// Salary normalization settings, read from the environment
+
+// Value of one unit of each currency in US dollars. Override with SALARY_EXCHANGE_RATES,
+// e.g. '{"USD":1,"EUR":1.1,"INR":0.012}'; only currencies listed here can be used on jobs.
+const DEFAULT_EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CAD: 0.73,
+  AUD: 0.66,
+  INR: 0.012
+};
+
+const parseRates = (value) => {
+  if (!value) return DEFAULT_EXCHANGE_RATES;
+
+  const rates = JSON.parse(value);
+  Object.entries(rates).forEach(([currency, rate]) => {
+    if (!/^[A-Z]{3}$/.test(currency) || !(rate > 0)) {
+      throw new Error(`SALARY_EXCHANGE_RATES has an invalid entry for '${currency}'`);
+    }
+  });
+  return rates;
+};
+
+const exchangeRates = parseRates(process.env.SALARY_EXCHANGE_RATES);
+const baseCurrency = process.env.SALARY_BASE_CURRENCY || 'USD';
+
+if (!exchangeRates[baseCurrency]) {
+  throw new Error(`SALARY_BASE_CURRENCY '${baseCurrency}' has no exchange rate`);
+}
+
+module.exports = {
+  // Normalized salaries, and the salaryMin/salaryMax filters, are annual amounts in this currency
+  baseCurrency,
+  exchangeRates,
+  // Working hours, weeks and months in a year, used to annualize hourly, weekly and monthly pay
+  hoursPerYear: parseInt(process.env.SALARY_HOURS_PER_YEAR || '2080'),
+  weeksPerYear: parseInt(process.env.SALARY_WEEKS_PER_YEAR || '52'),
+  monthsPerYear: 12
+};
@@ -0,0 +1,12 @@
+// Fields covered by each model's text index, with their relevance weights.
+// The models build their text index from these, so changing one needs an index rebuild.
+module.exports = {
+  textIndexes: {
+    Candidate: { name: 10, technology: 5, skills: 5, email: 3, resumeText: 1 },
+    Job: { title: 10, primaryTechnology: 5, 'company.name': 5, requiredSkills: 3, location: 2, description: 1 },
+    Hotlist: { name: 10, description: 2 }
+  },
+
+  // Words and phrases beyond this many are ignored, to bound the cost of a query
+  maxTerms: 10
+};
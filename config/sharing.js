@@ -0,0 +1,26 @@
+// Candidate fields a shared hotlist link may ever expose; contact details and resumes are never shared
+const SHAREABLE_FIELDS = [
+  'name',
+  'avatar',
+  'technology',
+  'skills',
+  'yearsOfExp',
+  'workAuthorization',
+  'currentLocation',
+  'willingToRelocate',
+  'availableFrom',
+  'status'
+];
+
+module.exports = {
+  SHAREABLE_FIELDS,
+  // Named sets of fields to share; a link can also list its own subset of SHAREABLE_FIELDS
+  fieldProfiles: {
+    anonymous: ['technology', 'skills', 'yearsOfExp', 'workAuthorization'],
+    standard: ['name', 'technology', 'skills', 'yearsOfExp', 'workAuthorization', 'currentLocation', 'availableFrom'],
+    detailed: SHAREABLE_FIELDS
+  },
+  defaultProfile: 'standard',
+  defaultExpiryDays: parseInt(process.env.HOTLIST_SHARE_DEFAULT_DAYS || '14'),
+  maxExpiryDays: parseInt(process.env.HOTLIST_SHARE_MAX_DAYS || '90')
+};
@@ -0,0 +1,24 @@
+// Where uploaded resumes are kept, read from the environment
+module.exports = {
+  // 'local' (disk) or 's3' (AWS S3 or any S3-compatible service such as MinIO)
+  driver: process.env.STORAGE_DRIVER || 'local',
+
+  local: {
+    directory: process.env.UPLOAD_DIR || 'uploads'
+  },
+
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Set for S3-compatible services; leave unset for AWS
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Optional; without them the AWS SDK's default credential chain is used
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || 'resumes/'
+  },
+
+  // Lifetime of a signed resume download link
+  resumeLinkTtlSeconds: parseInt(process.env.RESUME_LINK_TTL_SECONDS || '900')
+};
@@ -14,6 +14,47 @@ const options = {
         description: 'Development server',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from POST /api/auth/login',
+        },
+      },
+      schemas: {
+        Pagination: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pages: { type: 'integer' },
+            limit: { type: 'integer' },
+          },
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            message: { type: 'string', example: 'Validation failed' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  location: { type: 'string', enum: ['params', 'query', 'body'] },
+                  field: { type: 'string' },
+                  message: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    // Every route requires a token unless it sets `security: []`
+    security: [{ bearerAuth: [] }],
   },
   apis: ['./routes/*.js'], // Path to the API routes
 };
@@ -0,0 +1,13 @@
+// Job feed and JSON-LD settings, read from the environment
+module.exports = {
+  // Publisher shown in the feeds
+  publisherName: process.env.JOB_FEED_PUBLISHER || 'Candidate Hotlist',
+  publisherUrl: process.env.JOB_FEED_PUBLISHER_URL || null,
+  // Public page of a job, e.g. 'https://careers.example.com/jobs/{id}'; defaults to GET /api/jobs/{id}
+  jobUrlTemplate: process.env.JOB_URL_TEMPLATE || null,
+  // Used when a job's location doesn't name a country, and as the area remote jobs are open to
+  defaultCountry: process.env.JOB_FEED_DEFAULT_COUNTRY || 'US',
+  feedMaxJobs: parseInt(process.env.JOB_FEED_MAX_JOBS || '1000'),
+  // How long job boards and proxies may cache the feeds
+  feedCacheSeconds: parseInt(process.env.JOB_FEED_CACHE_SECONDS || '300')
+};
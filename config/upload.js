@@ -1,22 +1,17 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 
-// Create uploads directory if it doesn't exist
-const uploadDir = 'uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Keep uploads in memory (req.file.buffer); routes hand resumes to the storage
+// backend in utils/storage once the request has been validated
+const storage = multer.memoryStorage();
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir) // Files are saved here
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname)
-  }
-});
+// Rejected uploads are reported as validation errors by the error handler in server.js
+const fileTypeError = (field, message) => {
+  const err = new Error(message);
+  err.code = 'INVALID_FILE_TYPE';
+  err.field = field;
+  return err;
+};
 
 // File filter
 const fileFilter = (req, file, cb) => {
@@ -27,7 +22,15 @@ const fileFilter = (req, file, cb) => {
         file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type! Only PDF and DOC files are allowed.'), false);
+      cb(fileTypeError(file.fieldname, 'Invalid file type! Only PDF and DOC files are allowed.'), false);
+    }
+  } else if (file.fieldname === 'importFile') {
+    // Accept csv and xlsx files only; browsers report CSV under several mimetypes
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (extension === '.csv' || extension === '.xlsx') {
+      cb(null, true);
+    } else {
+      cb(fileTypeError(file.fieldname, 'Invalid file type! Only CSV and XLSX files are allowed.'), false);
     }
   } else {
     cb(null, true);
@@ -0,0 +1,29 @@
+// Events subscribers can choose from; '*' subscribes to all of them
+const WEBHOOK_EVENTS = [
+  'candidate.created',
+  'candidate.updated',
+  'candidate.status_changed',
+  'candidate.deleted',
+  'candidate.restored',
+  'hotlist.created',
+  'hotlist.updated',
+  'hotlist.deleted',
+  'hotlist.restored',
+  'job.created',
+  'job.updated',
+  'job.published',
+  'job.closed',
+  'job.deleted',
+  'job.restored',
+  'job.applied',
+  'application.stage_changed'
+];
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  // A failed delivery is retried until it has been attempted this many times
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6'),
+  // Delay before the first retry; doubles after each failure
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30'),
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000')
+};
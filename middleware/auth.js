@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { jwtSecret, accessTokenAudience } = require('../config/auth');
+
+const STAFF_ROLES = ['admin', 'recruiter'];
+
+// The token from an "Authorization: Bearer <token>" header, or null
+const bearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * The user id of a valid access token on the request, or null. Only checks the signature and
+ * expiry, not the account; for telling visitors apart, never for access control.
+ */
+const tokenUserId = (req) => {
+  const token = bearerToken(req);
+  if (!token) return null;
+
+  try {
+    return jwt.verify(token, jwtSecret, { audience: accessTokenAudience }).sub || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Verify the Bearer access token and attach the user to req.user
+const authenticate = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  try {
+    const payload = jwt.verify(token, jwtSecret, { audience: accessTokenAudience });
+    const user = await User.findById(payload.sub).lean();
+
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Invalid or inactive account' });
+    }
+
+    req.user = { id: user._id.toString(), name: user.name, email: user.email, role: user.role };
+    next();
+  } catch (err) {
+    if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+    next(err);
+  }
+};
+
+// Authenticate when a Bearer token is sent, otherwise carry on anonymously; for public routes that show staff more
+const optionalAuthenticate = (req, res, next) => (bearerToken(req) ? authenticate(req, res, next) : next());
+
+// Whether the request comes from an admin or recruiter; drafts, closed jobs and similar internals are theirs only
+const isStaff = (req) => Boolean(req.user) && STAFF_ROLES.includes(req.user.role);
+
+// Allow the request only if the authenticated user has one of the given roles
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  optionalAuthenticate,
+  isStaff,
+  STAFF_ROLES,
+  tokenUserId,
+  // Shorthands for the route files: authenticate, then check the role
+  canRead: [authenticate, authorize('admin', 'recruiter', 'client')],
+  canWrite: [authenticate, authorize('admin', 'recruiter')],
+  // Internal data (history, resumes) that read-only clients should not see
+  staffOnly: [authenticate, authorize(...STAFF_ROLES)],
+  adminOnly: [authenticate, authorize('admin')]
+};
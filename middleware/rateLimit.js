@@ -0,0 +1,79 @@
+const { tokenUserId } = require('./auth');
+const config = require('../config/rateLimit');
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Fixed-window request counter. Counts are kept in this process's memory, so with several
+ * instances each one applies the limits on its own.
+ */
+const createStore = (windowMs) => {
+  const windows = new Map();
+
+  // Drop finished windows so the map doesn't grow with every address ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    // Count one request for `key`; returns the count so far and when the window ends
+    hit: (key) => {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      return entry;
+    }
+  };
+};
+
+/**
+ * Limit requests per signed-in user, or per IP address for anonymous requests.
+ * `limits` is { perIp, perUser }. Responds 429 with Retry-After once the limit is used up.
+ */
+const rateLimit = (name, limits, { windowSeconds = config.windowSeconds } = {}) => {
+  const store = createStore(windowSeconds * 1000);
+
+  return (req, res, next) => {
+    const userId = tokenUserId(req);
+    const max = userId ? limits.perUser : limits.perIp;
+    const { count, resetAt } = store.hit(userId ? `${name}:user:${userId}` : `${name}:ip:${req.ip}`);
+    const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many requests, try again in ${resetSeconds} seconds`
+      });
+    }
+    next();
+  };
+};
+
+const readLimit = rateLimit('read', config.read);
+const writeLimit = rateLimit('write', config.write);
+
+// The read or write limit, depending on the request method
+const apiRateLimit = (req, res, next) => {
+  if (!config.enabled) return next();
+  return READ_METHODS.includes(req.method) ? readLimit(req, res, next) : writeLimit(req, res, next);
+};
+
+module.exports = {
+  rateLimit,
+  apiRateLimit
+};
@@ -0,0 +1,103 @@
+const Joi = require('joi');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+// A MongoDB ObjectId as a 24-character hex string
+const objectId = () => Joi.string()
+  .lowercase()
+  .pattern(/^[0-9a-f]{24}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a valid ID' });
+
+// An array of strings, also accepted as a comma-separated string (query strings, form fields)
+const stringList = () => Joi.alternatives().try(
+  Joi.array().items(Joi.string().trim()),
+  Joi.string().allow('').custom(value => value.split(',').map(item => item.trim()).filter(Boolean))
+);
+
+// Path params for routes addressed by a single document ID
+const idParams = Joi.object({
+  id: objectId().required()
+});
+
+const sendValidationError = (res, errors, status = 400, message = 'Validation failed') => res.status(status).json({
+  success: false,
+  message,
+  errors
+});
+
+/**
+ * Validate and coerce req.params, req.query and req.body against Joi schemas.
+ * Unknown keys are dropped; every problem is reported at once as
+ * { location, field, message } entries.
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  LOCATIONS.forEach(location => {
+    if (!schemas[location]) return;
+
+    const { error, value } = schemas[location].validate(req[location] || {}, VALIDATION_OPTIONS);
+    if (error) {
+      error.details.forEach(detail => errors.push({
+        location,
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+    } else {
+      req[location] = value;
+    }
+  });
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  next();
+};
+
+/**
+ * Send Mongoose validation, cast and duplicate-key errors in the same format as validate().
+ * Returns false (sending nothing) for any other error so the caller can handle it.
+ */
+const handleModelError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return !!sendValidationError(res, Object.values(err.errors).map(error => ({
+      location: 'body',
+      field: error.path,
+      message: error.message
+    })));
+  }
+
+  if (err.name === 'CastError') {
+    return !!sendValidationError(res, [{
+      location: 'body',
+      field: err.path,
+      message: `${err.path} has an invalid value`
+    }]);
+  }
+
+  if (err.code === 11000) {
+    return !!sendValidationError(res, Object.keys(err.keyValue || {}).map(field => ({
+      location: 'body',
+      field,
+      message: `${field} already exists`
+    })), 409, 'Duplicate value');
+  }
+
+  return false;
+};
+
+module.exports = {
+  Joi,
+  objectId,
+  stringList,
+  idParams,
+  validate,
+  sendValidationError,
+  handleModelError
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const alertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['job', 'candidate'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Snapshot for display, e.g. "Java Developer at Acme"
+  title: {
+    type: String,
+    default: ''
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One alert per saved search and match, however often the match is updated
+alertSchema.index({ savedSearch: 1, entityId: 1 }, { unique: true });
+alertSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const STAGES = ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected'];
+
+const stageChangeSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: STAGES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const applicationSchema = new mongoose.Schema({
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: STAGES,
+    default: 'applied'
+  },
+  stageHistory: {
+    type: [stageChangeSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A candidate can only apply to a job once
+applicationSchema.index({ candidate: 1, job: 1 }, { unique: true });
+
+// Record every stage transition (including the initial one) with a timestamp
+applicationSchema.pre('save', function(next) {
+  const now = new Date();
+  if (this.isNew || this.isModified('stage')) {
+    this.stageHistory.push({ stage: this.stage, changedAt: now });
+  }
+  this.updatedAt = now;
+  next();
+});
+
+// Keep Job.applications in sync with the real application records
+applicationSchema.statics.syncJobCount = async function(jobId) {
+  const count = await this.countDocuments({ job: jobId });
+  await mongoose.model('Job').updateOne({ _id: jobId }, { applications: count });
+  return count;
+};
+
+applicationSchema.statics.STAGES = STAGES;
+
+module.exports = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['Candidate', 'Job', 'Hotlist'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    // archive and restore are soft deletes; delete removes the document for good
+    enum: ['create', 'update', 'delete', 'archive', 'restore'],
+    required: true
+  },
+  // Snapshot of the user, so entries stay readable if the account changes; null for scripts
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    name: String,
+    email: String
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,60 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('./plugins/audit');
+const { webhookEventsPlugin } = require('./plugins/webhookEvents');
+const { softDeletePlugin } = require('./plugins/softDelete');
+const { savedSearchAlertsPlugin } = require('./plugins/savedSearchAlerts');
+const { baseCurrency } = require('../config/salary');
+const { PERIODS, normalizeRate } = require('../utils/salary');
+const { textIndex } = require('../utils/textSearch');
+
+// Right to work in the US: citizenship, a green card, or the visa or EAD the candidate holds
+const WORK_AUTHORIZATIONS = [
+  'USC',
+  'GC',
+  'GC-EAD',
+  'H1B',
+  'H4-EAD',
+  'L2-EAD',
+  'OPT',
+  'STEM-OPT',
+  'CPT',
+  'TN',
+  'E3',
+  'Other'
+];
+
+// Bill rate is charged to the client, pay rate goes to the candidate
+const rateSchema = new mongoose.Schema({
+  bill: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  pay: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: baseCurrency
+  },
+  period: {
+    type: String,
+    enum: PERIODS,
+    default: 'hourly'
+  },
+  // Hourly rates in the base currency (config/salary.js), set on save; used to filter and sort
+  normalized: {
+    bill: Number,
+    pay: Number,
+    currency: String
+  }
+}, { _id: false });
+
+rateSchema.path('pay').validate(function(pay) {
+  return pay === null || this.bill === null || pay <= this.bill;
+}, 'rate.pay must not be more than rate.bill');
 
 const candidateSchema = new mongoose.Schema({
   name: {
@@ -10,11 +66,45 @@ const candidateSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Other addresses this candidate is known by, e.g. from records merged into this one
+  alternateEmails: {
+    type: [String],
+    default: []
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
   yearsOfExp: {
     type: Number,
     required: true,
     default: 0
   },
+  workAuthorization: {
+    type: String,
+    enum: WORK_AUTHORIZATIONS,
+    default: null
+  },
+  // Free text such as "Dallas, TX"
+  currentLocation: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  willingToRelocate: {
+    type: Boolean,
+    default: false
+  },
+  // Earliest start date; null when not known
+  availableFrom: {
+    type: Date,
+    default: null
+  },
+  rate: {
+    type: rateSchema,
+    default: null
+  },
   technology: {
     type: String,
     required: true,
@@ -24,10 +114,6 @@ const candidateSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
-  experience: {
-    type: Number,
-    default: 0
-  },
   avatar: {
     type: String,
     default: 'https://example.com/default-avatar.jpg'
@@ -37,6 +123,7 @@ const candidateSchema = new mongoose.Schema({
       type: String,
       default: null
     },
+    // Storage key of the file in the configured backend (utils/storage)
     path: {
       type: String,
       default: null
@@ -44,8 +131,22 @@ const candidateSchema = new mongoose.Schema({
     mimetype: {
       type: String,
       default: null
+    },
+    uploadedAt: {
+      type: Date,
+      default: null
     }
   },
+  // Plain text extracted from the resume file, used by resume search
+  resumeText: {
+    type: String,
+    default: '',
+    select: false
+  },
+  resumeIndexedAt: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     enum: ['active', 'inactive', 'pending'],
@@ -67,4 +168,36 @@ candidateSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the normalized rates in step with the entered ones
+candidateSchema.pre('save', function(next) {
+  if (this.rate && (this.isNew || this.isModified('rate'))) {
+    this.rate.normalized = normalizeRate(this.rate) || { bill: null, pay: null, currency: null };
+  }
+  next();
+});
+
+// Resume text can be large; keep it out of API responses
+candidateSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.resumeText;
+    return ret;
+  }
+});
+
+candidateSchema.statics.WORK_AUTHORIZATIONS = WORK_AUTHORIZATIONS;
+
+candidateSchema.index({ workAuthorization: 1 });
+candidateSchema.index({ availableFrom: 1 });
+candidateSchema.index({ 'rate.normalized.bill': 1 });
+candidateSchema.index({ 'rate.normalized.pay': 1 });
+candidateSchema.index(...textIndex('Candidate'));
+
+candidateSchema.plugin(softDeletePlugin);
+candidateSchema.plugin(auditPlugin, { entityType: 'Candidate', ignore: ['resumeText', 'resumeIndexedAt'] });
+candidateSchema.plugin(savedSearchAlertsPlugin, { entityType: 'candidate' });
+candidateSchema.plugin(webhookEventsPlugin, {
+  prefix: 'candidate',
+  statusEvent: (candidate, previousStatus) => (previousStatus ? 'candidate.status_changed' : null)
+});
+
 module.exports = mongoose.model('Candidate', candidateSchema); 
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('./plugins/audit');
+const { webhookEventsPlugin } = require('./plugins/webhookEvents');
+const { softDeletePlugin } = require('./plugins/softDelete');
+const { textIndex } = require('../utils/textSearch');
 
 const hotlistSchema = new mongoose.Schema({
   name: {
@@ -13,7 +17,23 @@ const hotlistSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// Update the updatedAt timestamp before saving
+hotlistSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+hotlistSchema.index(...textIndex('Hotlist'));
+
+hotlistSchema.plugin(softDeletePlugin);
+hotlistSchema.plugin(auditPlugin, { entityType: 'Hotlist' });
+hotlistSchema.plugin(webhookEventsPlugin, { prefix: 'hotlist' });
+
 module.exports = mongoose.model('Hotlist', hotlistSchema); 
\ No newline at end of file
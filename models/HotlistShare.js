@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { SHAREABLE_FIELDS } = require('../config/sharing');
+
+// A read-only link to a hotlist for someone without an account.
+// Only a hash of the token is stored; the link itself is returned once, when it is created.
+const hotlistShareSchema = new mongoose.Schema({
+  hotlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotlist',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Who the link is for, e.g. the client's name
+  label: {
+    type: String,
+    default: ''
+  },
+  // Profile the fields came from, or 'custom' when they were listed explicitly
+  profile: {
+    type: String,
+    required: true
+  },
+  fields: {
+    type: [{
+      type: String,
+      enum: SHAREABLE_FIELDS
+    }],
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+hotlistShareSchema.index({ hotlist: 1, createdAt: -1 });
+
+hotlistShareSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+hotlistShareSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('HotlistShare', hotlistShareSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One opening of a shared hotlist link
+const hotlistShareAccessSchema = new mongoose.Schema({
+  share: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HotlistShare',
+    required: true
+  },
+  hotlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotlist',
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  accessedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+hotlistShareAccessSchema.index({ share: 1, accessedAt: -1 });
+
+module.exports = mongoose.model('HotlistShareAccess', hotlistShareAccessSchema);
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+const ROUNDS = ['screening', 'technical', 'managerial', 'hr', 'client', 'final'];
+const STATUSES = ['scheduled', 'completed', 'cancelled', 'no_show'];
+const OUTCOMES = ['passed', 'failed', 'on_hold'];
+
+// An IANA time zone name such as "America/Chicago"
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const feedbackSchema = new mongoose.Schema({
+  outcome: {
+    type: String,
+    enum: OUTCOMES,
+    required: true
+  },
+  // 1 (poor) to 5 (excellent)
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const interviewSchema = new mongoose.Schema({
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  interviewers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: [value => value.length > 0, 'At least one interviewer is required']
+  },
+  round: {
+    type: String,
+    enum: ROUNDS,
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Zone the slot was agreed in, used to show it in local time; startsAt and endsAt are instants
+  timeZone: {
+    type: String,
+    required: true,
+    validate: [isTimeZone, 'timeZone must be an IANA time zone such as America/Chicago']
+  },
+  location: {
+    type: String,
+    default: ''
+  },
+  meetingUrl: {
+    type: String,
+    default: ''
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'scheduled'
+  },
+  feedback: {
+    type: feedbackSchema,
+    default: null
+  },
+  // iCalendar SEQUENCE; bumped on every change so calendars replace their copy
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Checked on every validation, since moving only startsAt can also make the slot invalid
+interviewSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+interviewSchema.index({ candidate: 1, startsAt: 1 });
+interviewSchema.index({ interviewers: 1, startsAt: 1 });
+interviewSchema.index({ job: 1, startsAt: 1 });
+
+// Update the updatedAt timestamp and the iCalendar sequence before saving
+interviewSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  if (!this.isNew) this.sequence += 1;
+  next();
+});
+
+/**
+ * Scheduled interviews overlapping `interview`'s slot that share its candidate or any of its
+ * interviewers. Each conflict lists who is double-booked in `conflictsWith`.
+ */
+interviewSchema.statics.findConflicts = async function(interview) {
+  const interviewerIds = interview.interviewers.map(String);
+
+  const overlapping = await this.find({
+    _id: { $ne: interview._id },
+    status: 'scheduled',
+    startsAt: { $lt: interview.endsAt },
+    endsAt: { $gt: interview.startsAt },
+    $or: [
+      { candidate: interview.candidate },
+      { interviewers: { $in: interview.interviewers } }
+    ]
+  })
+    .select('candidate job interviewers round startsAt endsAt timeZone')
+    .sort({ startsAt: 1 })
+    .lean();
+
+  return overlapping.map(other => {
+    const conflictsWith = other.interviewers
+      .filter(id => interviewerIds.includes(id.toString()))
+      .map(id => ({ type: 'interviewer', id }));
+    if (other.candidate.toString() === interview.candidate.toString()) {
+      conflictsWith.unshift({ type: 'candidate', id: other.candidate });
+    }
+    return { interview: other, conflictsWith };
+  });
+};
+
+interviewSchema.statics.ROUNDS = ROUNDS;
+interviewSchema.statics.STATUSES = STATUSES;
+interviewSchema.statics.OUTCOMES = OUTCOMES;
+interviewSchema.statics.isTimeZone = isTimeZone;
+
+module.exports = mongoose.model('Interview', interviewSchema);
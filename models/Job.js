@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('./plugins/audit');
+const { webhookEventsPlugin } = require('./plugins/webhookEvents');
+const { softDeletePlugin } = require('./plugins/softDelete');
+const { savedSearchAlertsPlugin } = require('./plugins/savedSearchAlerts');
+const { normalizeSalary } = require('../utils/salary');
+const { textIndex } = require('../utils/textSearch');
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -9,6 +15,34 @@ const companySchema = new mongoose.Schema({
   logo: String
 });
 
+// Allowed status changes: publish, close, reopen, and discarding a draft
+const STATUS_TRANSITIONS = {
+  draft: ['active', 'closed'],
+  active: ['closed'],
+  closed: ['active']
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const salarySchema = new mongoose.Schema({
   min: {
     type: Number,
@@ -26,9 +60,19 @@ const salarySchema = new mongoose.Schema({
     type: String,
     enum: ['yearly', 'monthly', 'weekly', 'hourly'],
     default: 'yearly'
+  },
+  // Annual range in the base currency (config/salary.js), set on save; used to filter and sort by pay
+  normalized: {
+    min: Number,
+    max: Number,
+    currency: String
   }
 });
 
+salarySchema.path('max').validate(function(max) {
+  return this.min === undefined || this.min === null || max >= this.min;
+}, 'salary.max must not be less than salary.min');
+
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -93,6 +137,18 @@ const jobSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
   postedDate: {
     type: Date,
     default: Date.now
@@ -105,16 +161,102 @@ const jobSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Derived from Application records; see Application.syncJobCount
   applications: {
     type: Number,
     default: 0
   }
 });
 
+// Error for a status change the lifecycle doesn't allow
+const transitionError = (message) => {
+  const err = new Error(message);
+  err.code = 'INVALID_TRANSITION';
+  return err;
+};
+
+jobSchema.statics.canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+jobSchema.virtual('isExpired').get(function() {
+  return this.applicationDeadline < new Date();
+});
+
+// Remember the stored status so save() can check the transition
+jobSchema.post('init', function() {
+  this.$locals.originalStatus = this.status;
+});
+
+/**
+ * Change status, recording `reason` in statusHistory. Throws an INVALID_TRANSITION error
+ * if the move isn't allowed; the same rules are enforced again on save.
+ */
+jobSchema.methods.transitionTo = function(status, reason = null) {
+  if (!this.constructor.canTransition(this.status, status)) {
+    throw transitionError(`Cannot change job status from ${this.status} to ${status}`);
+  }
+  this.status = status;
+  this.$locals.statusReason = reason;
+  return this;
+};
+
+// Enforce the lifecycle and keep statusHistory, publishedAt and closedAt in step
+jobSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('status')) return next();
+
+  const from = this.isNew ? null : this.$locals.originalStatus;
+  if (from && from !== this.status && !this.constructor.canTransition(from, this.status)) {
+    return next(transitionError(`Cannot change job status from ${from} to ${this.status}`));
+  }
+
+  if (this.status === 'active' && this.isExpired) {
+    return next(transitionError('applicationDeadline must be in the future to publish a job'));
+  }
+
+  const now = new Date();
+  if (this.status === 'active') this.publishedAt = now;
+  if (this.status === 'closed') this.closedAt = now;
+
+  const actor = this.$locals.actor;
+  this.statusHistory.push({
+    from,
+    to: this.status,
+    reason: this.$locals.statusReason || null,
+    changedBy: actor ? actor.id : null,
+    changedAt: now
+  });
+
+  this.$locals.statusReason = null;
+  next();
+});
+
+jobSchema.post('save', function() {
+  this.$locals.originalStatus = this.status;
+});
+
 // Update the updatedAt timestamp before saving
 jobSchema.pre('save', function(next) {
   this.updatedAt = new Date();
   next();
 });
 
+// Keep the normalized salary in step with the posted one
+jobSchema.pre('save', function(next) {
+  if (this.salary && (this.isNew || this.isModified('salary'))) {
+    this.salary.normalized = normalizeSalary(this.salary) || { min: null, max: null, currency: null };
+  }
+  next();
+});
+
+jobSchema.index({ 'salary.normalized.min': 1 });
+jobSchema.index({ 'salary.normalized.max': 1 });
+jobSchema.index(...textIndex('Job'));
+
+jobSchema.plugin(softDeletePlugin);
+jobSchema.plugin(auditPlugin, { entityType: 'Job', ignore: ['views', 'applications'] });
+jobSchema.plugin(savedSearchAlertsPlugin, { entityType: 'job' });
+jobSchema.plugin(webhookEventsPlugin, {
+  prefix: 'job',
+  statusEvent: (job) => ({ active: 'job.published', closed: 'job.closed' })[job.status] || null
+});
+
 module.exports = mongoose.model('Job', jobSchema); 
\ No newline at end of file
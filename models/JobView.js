@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { retentionDays } = require('../config/jobViews');
+
+// One view of a job's details by a person; bots are not recorded
+const jobViewSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  // HMAC of the signed-in user, or of the IP address and user agent for anonymous visitors
+  visitor: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // False for repeat views within the dedupe window, which don't add to Job.views
+  counted: {
+    type: Boolean,
+    default: true
+  },
+  // Number of the dedupe window the view fell in (time since the epoch / window length)
+  window: {
+    type: Number,
+    required: true
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// At most one counted view per visitor and window, so concurrent requests can't both be counted
+jobViewSchema.index(
+  { job: 1, visitor: 1, window: 1 },
+  { unique: true, partialFilterExpression: { counted: true } }
+);
+jobViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobView', jobViewSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // 'job' takes GET /jobs parameters; 'candidate' takes GET /candidates and /candidates/search parameters
+  entityType: {
+    type: String,
+    enum: ['job', 'candidate'],
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ entityType: 1, alertsEnabled: 1 });
+
+// Update the updatedAt timestamp before saving
+savedSearchSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
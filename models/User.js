@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/auth');
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'client'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Hash of the secret in the user's interview calendar feed URL; null when there is no feed
+  calendarFeedTokenHash: {
+    type: String,
+    default: null,
+    select: false,
+    index: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+userSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, 10);
+};
+
+// passwordHash is not selected by default; load it with .select('+passwordHash')
+userSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never send the password hash back to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.calendarFeedTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: [...WEBHOOK_EVENTS, '*']
+    }],
+    required: true
+  },
+  // Used to sign each delivery; only returned when the subscription is created or rotated
+  secret: {
+    type: String,
+    default: () => crypto.randomBytes(32).toString('hex'),
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+// Update the updatedAt timestamp before saving
+webhookSubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+webhookSubscriptionSchema.methods.rotateSecret = function() {
+  this.secret = crypto.randomBytes(32).toString('hex');
+  return this.secret;
+};
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,90 @@
+const AuditLog = require('../AuditLog');
+
+// Bookkeeping fields that never appear in a diff
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Plain, comparable copy of a document (ObjectIds and dates become strings)
+const snapshot = (doc) => JSON.parse(JSON.stringify(doc.toObject({ depopulate: true, virtuals: false })));
+
+// Field-level before/after for every top-level field that differs
+const diff = (before, after, ignored) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (ignored.includes(field)) return;
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) return;
+    changes.push({ field, before: before[field], after: after[field] });
+  });
+
+  return changes;
+};
+
+/**
+ * Record create, update and delete of documents in the AuditLog collection.
+ *
+ * Only document operations are audited (save() and doc.deleteOne()), so routes must load,
+ * modify and save rather than use findByIdAndUpdate. The acting user is read from
+ * doc.$locals.actor; see setActor().
+ */
+const auditPlugin = (schema, { entityType, ignore = [] }) => {
+  const ignored = [...ALWAYS_IGNORED, ...ignore];
+
+  schema.post('init', function() {
+    this.$locals.auditBefore = snapshot(this);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditAction = this.isNew ? 'create' : this.$locals.softDeleteAction || 'update';
+    next();
+  });
+
+  schema.post('save', async function() {
+    const after = snapshot(this);
+    const before = this.$locals.auditAction === 'create' ? {} : this.$locals.auditBefore || {};
+    const changes = diff(before, after, ignored);
+
+    // Later saves of the same document diff against this state
+    this.$locals.auditBefore = after;
+
+    if (this.$locals.auditAction !== 'create' && changes.length === 0) return;
+
+    await writeEntry(this, entityType, this.$locals.auditAction, changes);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    const before = this.$locals.auditBefore || snapshot(this);
+    await writeEntry(this, entityType, 'delete', diff(before, {}, ignored));
+  });
+};
+
+// An audit failure is logged but never fails the change itself
+const writeEntry = async (doc, entityType, action, changes) => {
+  const actor = doc.$locals.actor;
+
+  try {
+    await AuditLog.create({
+      entityType,
+      entityId: doc._id,
+      action,
+      actor: actor ? { id: actor.id, name: actor.name, email: actor.email } : { id: null },
+      changes
+    });
+  } catch (err) {
+    console.error(`Error writing audit entry for ${entityType} ${doc._id}:`, err.message);
+  }
+};
+
+/**
+ * Attach the acting user (req.user) to a document before save() or deleteOne().
+ * Returns the document so it can be chained.
+ */
+const setActor = (doc, user) => {
+  doc.$locals.actor = user || null;
+  return doc;
+};
+
+module.exports = {
+  auditPlugin,
+  setActor
+};
@@ -0,0 +1,17 @@
+const { evaluateSavedSearches } = require('../../utils/savedSearchAlerts');
+
+/**
+ * Evaluate saved searches of `entityType` against each document after it is saved.
+ * Runs in the background so a slow evaluation never delays the request that saved.
+ */
+const savedSearchAlertsPlugin = (schema, { entityType }) => {
+  schema.post('save', function() {
+    evaluateSavedSearches(entityType, this).catch(err => {
+      console.error(`Error evaluating saved searches for ${entityType} ${this._id}:`, err.message);
+    });
+  });
+};
+
+module.exports = {
+  savedSearchAlertsPlugin
+};
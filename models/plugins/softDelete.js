@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { setActor } = require('./audit');
+
+// Reads that leave archived documents out
+const READ_OPERATIONS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'count', 'distinct'];
+
+const mentionsDeletedAt = (filter) => Object.prototype.hasOwnProperty.call(filter || {}, 'deletedAt');
+
+/**
+ * Soft delete: archive() sets deletedAt and deletedBy instead of removing the document,
+ * and reads and aggregations skip archived documents unless their filter mentions deletedAt
+ * or the query has the `withDeleted` option. populate() reads through find(), so archived
+ * documents drop out of populated references while the stored ids are kept.
+ *
+ * archive() and restore() save with the acting user; the audit and webhook plugins see
+ * them through $locals.softDeleteAction.
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.virtual('isArchived').get(function() {
+    return Boolean(this.deletedAt);
+  });
+
+  schema.pre(READ_OPERATIONS, function() {
+    if (this.getOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    if (first && first.$match) {
+      // $text has to stay in the first stage, so extend that $match rather than adding one
+      if (!mentionsDeletedAt(first.$match)) first.$match.deletedAt = null;
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.archive = function(user) {
+    this.deletedAt = new Date();
+    this.deletedBy = user ? user.id : null;
+    this.$locals.softDeleteAction = 'archive';
+    return setActor(this, user).save();
+  };
+
+  schema.methods.restore = function(user) {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    this.$locals.softDeleteAction = 'restore';
+    return setActor(this, user).save();
+  };
+
+  schema.post('save', function() {
+    this.$locals.softDeleteAction = null;
+  });
+};
+
+module.exports = {
+  softDeletePlugin
+};
@@ -0,0 +1,55 @@
+const { emitEvent } = require('../../utils/webhooks');
+
+/**
+ * Emit `<prefix>.created`, `<prefix>.updated` and `<prefix>.deleted` webhook events from
+ * document saves and deletes. When `statusEvent(doc, previousStatus)` is given and the status
+ * changes, the event name it returns (if any) is emitted as well, with `previousStatus` added.
+ *
+ * With the soft delete plugin, archiving emits `<prefix>.deleted` and restoring emits
+ * `<prefix>.restored`; purging an archived document later emits nothing more.
+ *
+ * Events are sent in the background; a webhook problem never fails the save.
+ */
+const webhookEventsPlugin = (schema, { prefix, statusEvent }) => {
+  schema.post('init', function() {
+    this.$locals.webhookStatus = this.status;
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.webhookWasNew = this.isNew;
+    this.$locals.webhookChanged = this.isNew ||
+      this.modifiedPaths().some(path => path !== 'updatedAt');
+    this.$locals.webhookPreviousStatus = this.isNew ? null : this.$locals.webhookStatus;
+    this.$locals.webhookSoftDelete = this.$locals.softDeleteAction || null;
+    next();
+  });
+
+  schema.post('save', function() {
+    const data = this.toJSON();
+    const previousStatus = this.$locals.webhookPreviousStatus;
+    const softDelete = this.$locals.webhookSoftDelete;
+
+    if (softDelete) {
+      emitEvent(`${prefix}.${softDelete === 'archive' ? 'deleted' : 'restored'}`, data);
+    } else if (this.$locals.webhookChanged) {
+      emitEvent(`${prefix}.${this.$locals.webhookWasNew ? 'created' : 'updated'}`, data);
+    }
+
+    if (statusEvent && this.status !== previousStatus) {
+      const event = statusEvent(this, previousStatus);
+      if (event) emitEvent(event, { ...data, previousStatus });
+    }
+
+    this.$locals.webhookStatus = this.status;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function() {
+    // An archived document was announced as deleted when it was archived
+    if (this.deletedAt) return;
+    emitEvent(`${prefix}.deleted`, this.toJSON());
+  });
+};
+
+module.exports = {
+  webhookEventsPlugin
+};
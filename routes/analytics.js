@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const { staffOnly } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const analytics = require('../utils/analytics');
+const schemas = require('../validators/analytics');
+
+// Wrap a report function as a route handler; the validated query is its options
+const report = (name, build) => async (req, res) => {
+  try {
+    const data = await build(req.query);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    console.error(`Error building ${name} report:`, err);
+    res.status(500).json({
+      success: false,
+      message: `Error building ${name} report`,
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/analytics/job-funnel:
+ *   get:
+ *     summary: Views to applications conversion per job
+ *     description: |
+ *       Each job's views, applications, conversion rate (applications / views) and
+ *       applications per pipeline stage, plus totals over every matching job.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only jobs posted on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only jobs posted on or before this date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, closed, draft]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [views, applications, conversionRate, postedDate]
+ *           default: views
+ *         description: Highest first
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Funnel summary and per-job rows
+ */
+router.get('/analytics/job-funnel', staffOnly, validate(schemas.jobFunnel), report('job funnel', analytics.jobFunnel));
+
+/**
+ * @swagger
+ * /api/analytics/technology-demand:
+ *   get:
+ *     summary: Open jobs compared with available bench candidates per technology
+ *     description: |
+ *       Active, unexpired jobs per primary technology next to active candidates per technology.
+ *       `gap` is open jobs minus bench candidates.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count jobs posted on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count jobs posted on or before this date
+ *     responses:
+ *       200:
+ *         description: One row per technology, most open jobs first
+ */
+router.get('/analytics/technology-demand', staffOnly, validate(schemas.dateRange), report('technology demand', analytics.technologyDemand));
+
+/**
+ * @swagger
+ * /api/analytics/activity:
+ *   get:
+ *     summary: Jobs posted and candidates added over time
+ *     description: |
+ *       Counts per period, including empty periods, for charting. Periods start on Mondays for weeks and are in UTC.
+ *       from and to may be at most 366 days apart by day, 5 years by week and 20 years by month.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 12 weeks before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *     responses:
+ *       200:
+ *         description: The series, oldest period first
+ */
+router.get('/analytics/activity', staffOnly, validate(schemas.timeSeries), report('activity', analytics.activityTimeSeries));
+
+/**
+ * @swagger
+ * /api/analytics/job-views:
+ *   get:
+ *     summary: Total and unique job views over time
+ *     description: |
+ *       From the recorded view events. `views` counts every view, `uniqueViews` leaves out a visitor's
+ *       repeat views within JOB_VIEW_DEDUPE_MINUTES (matching each job's `views`), and `visitors` counts
+ *       distinct visitors. Crawlers are never recorded. Periods are in UTC and include empty ones.
+ *       from and to may be at most 366 days apart by day, 5 years by week and 20 years by month.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 12 weeks before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *         description: Only views of this job
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of most viewed jobs to list
+ *     responses:
+ *       200:
+ *         description: Totals, the series oldest period first, and the most viewed jobs
+ */
+router.get('/analytics/job-views', staffOnly, validate(schemas.jobViews), report('job views', analytics.jobViews));
+
+/**
+ * @swagger
+ * /api/analytics/hotlist-coverage:
+ *   get:
+ *     summary: How much of the bench is on hotlists
+ *     description: Hotlist sizes, and candidates on at least one hotlist overall and by status.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only hotlists created on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only hotlists created on or before this date
+ *     responses:
+ *       200:
+ *         description: Hotlist and bench coverage figures
+ */
+router.get('/analytics/hotlist-coverage', staffOnly, validate(schemas.dateRange), report('hotlist coverage', analytics.hotlistCoverage));
+
+module.exports = router;
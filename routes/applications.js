@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const Application = require('../models/Application');
+const { canRead, canWrite } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/applications');
+const { emitEvent } = require('../utils/webhooks');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Application:
+ *       type: object
+ *       properties:
+ *         candidate:
+ *           type: string
+ *           description: The candidate ID
+ *         job:
+ *           type: string
+ *           description: The job ID
+ *         stage:
+ *           type: string
+ *           enum: [applied, screening, interview, offer, hired, rejected]
+ *         stageHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               stage:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date
+ *         updatedAt:
+ *           type: string
+ *           format: date
+ */
+
+// Shared error response
+const handleError = (res, err, message) => {
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+};
+
+/**
+ * @swagger
+ * /api/jobs/{id}/applications:
+ *   get:
+ *     summary: List applications for a job
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *         description: Filter by stage
+ *     responses:
+ *       200:
+ *         description: Applications with their candidates populated
+ */
+router.get('/jobs/:id/applications', canRead, validate(schemas.list), async (req, res) => {
+  try {
+    const query = { job: req.params.id };
+    if (req.query.stage) query.stage = req.query.stage;
+
+    const applications = await Application.find(query)
+      .populate('candidate', 'name email technology yearsOfExp status')
+      .sort({ createdAt: -1 })
+      .select('-__v')
+      .lean();
+
+    res.json({
+      success: true,
+      data: applications
+    });
+  } catch (err) {
+    handleError(res, err, 'Error fetching applications');
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidates/{id}/applications:
+ *   get:
+ *     summary: List applications for a candidate
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *         description: Filter by stage
+ *     responses:
+ *       200:
+ *         description: Applications with their jobs populated
+ */
+router.get('/candidates/:id/applications', canRead, validate(schemas.list), async (req, res) => {
+  try {
+    const query = { candidate: req.params.id };
+    if (req.query.stage) query.stage = req.query.stage;
+
+    const applications = await Application.find(query)
+      .populate('job', 'title company location status')
+      .sort({ createdAt: -1 })
+      .select('-__v')
+      .lean();
+
+    res.json({
+      success: true,
+      data: applications
+    });
+  } catch (err) {
+    handleError(res, err, 'Error fetching applications');
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   get:
+ *     summary: Get an application by ID
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Application'
+ *       404:
+ *         description: Application not found
+ *   delete:
+ *     summary: Withdraw an application
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application withdrawn
+ *       404:
+ *         description: Application not found
+ */
+router.get('/applications/:id', canRead, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .populate('candidate', 'name email technology yearsOfExp status')
+      .populate('job', 'title company location status')
+      .select('-__v')
+      .lean();
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: application
+    });
+  } catch (err) {
+    handleError(res, err, 'Error fetching application');
+  }
+});
+
+router.delete('/applications/:id', canWrite, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const application = await Application.findByIdAndDelete(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    await Application.syncJobCount(application.job);
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn'
+    });
+  } catch (err) {
+    handleError(res, err, 'Error withdrawing application');
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/stage:
+ *   patch:
+ *     summary: Move an application to another pipeline stage
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stage
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [applied, screening, interview, offer, hired, rejected]
+ *     responses:
+ *       200:
+ *         description: The updated application
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Invalid stage
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: Application is already in that stage
+ */
+router.patch('/applications/:id/stage', canWrite, validate(schemas.moveStage), async (req, res) => {
+  try {
+    const { stage } = req.body;
+
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.stage === stage) {
+      return res.status(409).json({
+        success: false,
+        message: `Application is already in stage '${stage}'`
+      });
+    }
+
+    const previousStage = application.stage;
+    application.stage = stage;
+    const updatedApplication = await application.save();
+
+    emitEvent('application.stage_changed', { ...updatedApplication.toJSON(), previousStage });
+
+    res.json({
+      success: true,
+      data: updatedApplication
+    });
+  } catch (err) {
+    handleError(res, err, 'Error updating application stage');
+  }
+});
+
+module.exports = router;
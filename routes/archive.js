@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const Candidate = require('../models/Candidate');
+const Job = require('../models/Job');
+const Hotlist = require('../models/Hotlist');
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const JobView = require('../models/JobView');
+const HotlistShare = require('../models/HotlistShare');
+const HotlistShareAccess = require('../models/HotlistShareAccess');
+const { staffOnly, canWrite, adminOnly } = require('../middleware/auth');
+const { setActor } = require('../models/plugins/audit');
+const { validate } = require('../middleware/validate');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const storage = require('../utils/storage');
+const schemas = require('../validators/archive');
+
+// Archived documents only; the filter mentions deletedAt, so the soft delete plugin leaves it alone
+const ARCHIVED = { deletedAt: { $ne: null } };
+
+const withArchived = (query) => query.setOptions({ withDeleted: true });
+
+// Take the candidate off every hotlist, archived ones included, and drop their applications and resume
+const removeCandidateReferences = async (candidate, actor) => {
+  const hotlists = await withArchived(Hotlist.find({ candidates: candidate._id }));
+  for (const hotlist of hotlists) {
+    hotlist.candidates.pull(candidate._id);
+    await setActor(hotlist, actor).save();
+  }
+
+  const jobIds = await Application.distinct('job', { candidate: candidate._id });
+  await Application.deleteMany({ candidate: candidate._id });
+  await Promise.all(jobIds.map(jobId => Application.syncJobCount(jobId)));
+  await Interview.deleteMany({ candidate: candidate._id });
+
+  storage.removeQuietly(candidate.resumeFile && candidate.resumeFile.path);
+};
+
+const removeJobReferences = (job) => Promise.all([
+  Application.deleteMany({ job: job._id }),
+  Interview.deleteMany({ job: job._id }),
+  JobView.deleteMany({ job: job._id })
+]);
+
+const removeHotlistReferences = (hotlist) => Promise.all([
+  HotlistShare.deleteMany({ hotlist: hotlist._id }),
+  HotlistShareAccess.deleteMany({ hotlist: hotlist._id })
+]);
+
+// GET /archive/<type>: archived documents, most recently archived first
+const listArchived = (Model, key, select) => async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, 20);
+
+    const [items, total] = await Promise.all([
+      Model.find(ARCHIVED)
+        .sort({ deletedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .select(select)
+        .populate('deletedBy', 'name email')
+        .lean(),
+      Model.countDocuments(ARCHIVED)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        [key]: items,
+        pagination: buildPagination(total, pagination)
+      }
+    });
+  } catch (err) {
+    console.error(`Error fetching archived ${key}:`, err);
+    res.status(500).json({
+      success: false,
+      message: `Error fetching archived ${key}`,
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Load a document whether or not it is archived; sends 404 and resolves to null when missing
+const findForArchive = async (Model, label, req, res) => {
+  const doc = await withArchived(Model.findById(req.params.id));
+  if (!doc) {
+    res.status(404).json({
+      success: false,
+      message: `${label} not found`
+    });
+  }
+  return doc;
+};
+
+// POST /<path>/:id/restore
+const restoreHandler = (Model, label) => async (req, res) => {
+  try {
+    const doc = await findForArchive(Model, label, req, res);
+    if (!doc) return;
+
+    if (!doc.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: `${label} is not archived`
+      });
+    }
+
+    await doc.restore(req.user);
+
+    res.json({
+      success: true,
+      data: doc
+    });
+  } catch (err) {
+    console.error(`Error restoring ${label.toLowerCase()}:`, err);
+    res.status(500).json({
+      success: false,
+      message: `Error restoring ${label.toLowerCase()}`,
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// DELETE /<path>/:id/purge: delete an archived document for good, after `removeReferences(doc, user)`
+const purgeHandler = (Model, label, removeReferences) => async (req, res) => {
+  try {
+    const doc = await findForArchive(Model, label, req, res);
+    if (!doc) return;
+
+    if (!doc.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: `${label} must be archived before it can be purged`
+      });
+    }
+
+    if (removeReferences) await removeReferences(doc, req.user);
+    await setActor(doc, req.user).deleteOne();
+
+    res.json({
+      success: true,
+      message: `${label} purged`
+    });
+  } catch (err) {
+    console.error(`Error purging ${label.toLowerCase()}:`, err);
+    res.status(500).json({
+      success: false,
+      message: `Error purging ${label.toLowerCase()}`,
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/archive/candidates:
+ *   get:
+ *     summary: Archived candidates, most recently archived first
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of archived candidates, with deletedAt and deletedBy
+ * /api/archive/jobs:
+ *   get:
+ *     summary: Archived jobs, most recently archived first
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of archived jobs, with deletedAt and deletedBy
+ * /api/archive/hotlists:
+ *   get:
+ *     summary: Archived hotlists, most recently archived first
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of archived hotlists, with deletedAt and deletedBy
+ */
+router.get('/archive/candidates', staffOnly, validate(schemas.list), listArchived(Candidate, 'candidates', '-__v -resumeText'));
+router.get('/archive/jobs', staffOnly, validate(schemas.list), listArchived(Job, 'jobs', '-__v'));
+router.get('/archive/hotlists', staffOnly, validate(schemas.list), listArchived(Hotlist, 'hotlists', '-__v'));
+
+/**
+ * @swagger
+ * /api/candidates/{id}/restore:
+ *   post:
+ *     summary: Restore an archived candidate
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The restored candidate
+ *       404:
+ *         description: Candidate not found
+ *       409:
+ *         description: Candidate is not archived
+ * /api/jobs/{id}/restore:
+ *   post:
+ *     summary: Restore an archived job
+ *     description: A restored active job past its deadline is closed by the next expiry sweep.
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The restored job
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not archived
+ * /api/hotlist/{id}/restore:
+ *   post:
+ *     summary: Restore an archived hotlist
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The restored hotlist
+ *       404:
+ *         description: Hotlist not found
+ *       409:
+ *         description: Hotlist is not archived
+ */
+router.post('/candidates/:id/restore', canWrite, validate({ params: schemas.idParams }), restoreHandler(Candidate, 'Candidate'));
+router.post('/jobs/:id/restore', canWrite, validate({ params: schemas.idParams }), restoreHandler(Job, 'Job'));
+router.post('/hotlist/:id/restore', canWrite, validate({ params: schemas.idParams }), restoreHandler(Hotlist, 'Hotlist'));
+
+/**
+ * @swagger
+ * /api/candidates/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete an archived candidate (admin only)
+ *     description: Also deletes their applications, interviews and resume and takes them off every hotlist.
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Candidate purged
+ *       404:
+ *         description: Candidate not found
+ *       409:
+ *         description: Candidate must be archived first
+ * /api/jobs/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete an archived job (admin only)
+ *     description: Also deletes the job's applications, interviews and recorded views.
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job purged
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job must be archived first
+ * /api/hotlist/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete an archived hotlist (admin only)
+ *     description: Also deletes its share links and their access logs.
+ *     tags: [Archive]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hotlist purged
+ *       404:
+ *         description: Hotlist not found
+ *       409:
+ *         description: Hotlist must be archived first
+ */
+router.delete('/candidates/:id/purge', adminOnly, validate({ params: schemas.idParams }), purgeHandler(Candidate, 'Candidate', removeCandidateReferences));
+router.delete('/jobs/:id/purge', adminOnly, validate({ params: schemas.idParams }), purgeHandler(Job, 'Job', removeJobReferences));
+router.delete('/hotlist/:id/purge', adminOnly, validate({ params: schemas.idParams }), purgeHandler(Hotlist, 'Hotlist', removeHotlistReferences));
+
+module.exports = router;
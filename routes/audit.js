@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { staffOnly, adminOnly } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const schemas = require('../validators/audit');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         entityType:
+ *           type: string
+ *           enum: [Candidate, Job, Hotlist]
+ *         entityId:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, archive, restore]
+ *         actor:
+ *           type: object
+ *           description: The user who made the change; id is null for scripts
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Page through audit entries matching `query`, newest first
+const findEntries = async (query, reqQuery) => {
+  const pagination = parsePagination(reqQuery, 20);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .select('-__v')
+      .lean(),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return { entries, pagination: buildPagination(total, pagination) };
+};
+
+// GET /<path>/:id/history for one entity type
+const historyHandler = (entityType) => async (req, res) => {
+  try {
+    const data = await findEntries({ entityType, entityId: req.params.id }, req.query);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    console.error('Error fetching history:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching history',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/candidates/{id}/history:
+ *   get:
+ *     summary: Change history of a candidate
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ * /api/jobs/{id}/history:
+ *   get:
+ *     summary: Change history of a job
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ * /api/hotlist/{id}/history:
+ *   get:
+ *     summary: Change history of a hotlist
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ */
+router.get('/candidates/:id/history', staffOnly, validate(schemas.history), historyHandler('Candidate'));
+router.get('/jobs/:id/history', staffOnly, validate(schemas.history), historyHandler('Job'));
+router.get('/hotlist/:id/history', staffOnly, validate(schemas.history), historyHandler('Hotlist'));
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit trail (admin only)
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [Candidate, Job, Hotlist]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID of the person who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, archive, restore]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matching audit entries, newest first
+ */
+router.get('/audit', adminOnly, validate(schemas.search), async (req, res) => {
+  try {
+    const { entityType, entityId, actor, action, from, to } = req.query;
+
+    const query = {};
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (actor) query['actor.id'] = actor;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const data = await findEntries(query, req.query);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    console.error('Error fetching audit trail:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit trail',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { jwtSecret, accessTokenAudience, accessTokenTtl, refreshTokenTtlDays } = require('../config/auth');
+const { canRead } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/auth');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new access token and a stored, single-use refresh token
+const issueTokens = async (user) => {
+  const accessToken = jwt.sign({ sub: user._id.toString(), role: user.role }, jwtSecret, {
+    audience: accessTokenAudience,
+    expiresIn: accessTokenTtl
+  });
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: accessTokenTtl };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *         refreshToken:
+ *           type: string
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         expiresIn:
+ *           type: string
+ *           example: 15m
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Invalid credentials
+ */
+router.post('/auth/login', validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: String(email).toLowerCase() }).select('+passwordHash');
+    if (!user || !user.active || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const tokens = await issueTokens(user);
+    res.json({ ...tokens, user });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: The refresh token is single-use; the response contains its replacement.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post('/auth/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Revoke atomically so the same token can't be used twice
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash: hashToken(refreshToken), revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date() }
+    );
+    if (!stored) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Invalid or inactive account' });
+    }
+
+    const tokens = await issueTokens(user);
+    res.json({ ...tokens, user });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Logged out
+ */
+router.post('/auth/logout', validate(schemas.logout), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await RefreshToken.updateOne(
+      { tokenHash: hashToken(refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the logged-in user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Not logged in
+ */
+router.get('/auth/me', canRead, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
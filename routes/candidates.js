@@ -1,8 +1,133 @@
 const express = require('express');
 const router = express.Router();
 const Candidate = require('../models/Candidate');
+const Job = require('../models/Job');
+const { scoreMatch, rankMatches } = require('../utils/matching');
+const { extractResumeText, buildHighlights } = require('../utils/resumeText');
+const { readRows, importCandidates } = require('../utils/candidateImport');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const { buildCandidateQuery, buildCandidateSort, candidateSearchFields } = require('../utils/listQueries');
+const { textSearch, parseQuery } = require('../utils/textSearch');
+const { createResumeToken, verifyResumeToken } = require('../utils/resumeLinks');
+const { findDuplicates } = require('../utils/duplicates');
+const { mergeCandidates } = require('../utils/candidateMerge');
+const { canRead, canWrite, staffOnly } = require('../middleware/auth');
+const { setActor } = require('../models/plugins/audit');
+const { validate, sendValidationError, handleModelError } = require('../middleware/validate');
+const schemas = require('../validators/candidates');
 const upload = require('../config/upload');
-const fs = require('fs');
+const storage = require('../utils/storage');
+const { pipeline } = require('stream');
+
+// Fields that can be changed through PUT/PATCH
+const UPDATABLE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'yearsOfExp',
+  'technology',
+  'skills',
+  'workAuthorization',
+  'currentLocation',
+  'willingToRelocate',
+  'availableFrom',
+  'rate',
+  'avatar',
+  'status'
+];
+
+// Convert skills from string to array if it comes as comma-separated string
+const parseSkills = (skills) => (
+  typeof skills === 'string' ?
+    skills.split(',').map(skill => skill.trim()).filter(Boolean) :
+    skills || undefined // undefined will trigger the default empty array
+);
+
+// Fields the duplicate finder compares, plus enough to tell the records apart
+const DUPLICATE_FIELDS = 'name email alternateEmails phone technology skills yearsOfExp status createdAt';
+
+// Store an uploaded resume and its extracted text on the candidate; returns the storage key
+const setResume = async (candidate, file) => {
+  const key = storage.generateKey(file.originalname);
+  await storage.put(key, file.buffer, { contentType: file.mimetype });
+
+  candidate.resumeFile = {
+    filename: file.originalname,
+    path: key,
+    mimetype: file.mimetype,
+    uploadedAt: new Date()
+  };
+  candidate.resumeText = await extractResumeText(file.buffer, file.mimetype);
+  candidate.resumeIndexedAt = new Date();
+  return key;
+};
+
+// Stream a stored resume back as a download under its original file name
+const sendResume = async (res, resumeFile) => {
+  const file = await storage.get(resumeFile.path);
+  if (!file) {
+    return res.status(404).json({ message: 'Resume file not found' });
+  }
+
+  res.attachment(resumeFile.filename || resumeFile.path);
+  res.set({
+    'Content-Type': resumeFile.mimetype || 'application/octet-stream',
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (file.size !== undefined) res.set('Content-Length', String(file.size));
+
+  pipeline(file.stream, res, (err) => {
+    if (err) console.error(`Error sending resume ${resumeFile.path}:`, err.message);
+  });
+};
+
+/**
+ * Archived candidates are hidden but keep their email, which is unique. Respond 409 pointing at
+ * the restore endpoint if `email` belongs to one; resolves to true when it has responded.
+ */
+const rejectArchivedEmail = async (res, email) => {
+  const archived = await Candidate.findOne({ email, deletedAt: { $ne: null } }).select('_id').lean();
+  if (!archived) return false;
+
+  sendValidationError(res, [{
+    location: 'body',
+    field: 'email',
+    message: `An archived candidate with this email exists; restore it with POST /api/candidates/${archived._id}/restore`
+  }], 409, 'Duplicate value');
+  return true;
+};
+
+// Apply body fields to a candidate document; numeric fields may arrive as strings
+const applyUpdates = (candidate, body) => {
+  UPDATABLE_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+
+    if (field === 'skills') {
+      candidate.skills = parseSkills(body.skills) || [];
+    } else if (field === 'yearsOfExp') {
+      candidate.yearsOfExp = Number(body.yearsOfExp);
+    } else if (field === 'rate' && body.rate && candidate.rate) {
+      // Rate fields left out of the request keep their current values
+      candidate.rate = { ...candidate.rate.toObject(), ...body.rate };
+    } else {
+      candidate[field] = body[field];
+    }
+  });
+};
+
+// PUT replaces the details: fields left out go back to their schema defaults
+const resetOmittedFields = (candidate, body) => {
+  UPDATABLE_FIELDS.forEach(field => {
+    if (field === 'rate') {
+      // Cleared either way, so a rate in the request replaces the stored one instead of merging into it
+      candidate.rate = null;
+    } else if (body[field] === undefined) {
+      const defaultValue = Candidate.schema.path(field).defaultValue;
+      candidate[field] = typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+    }
+  });
+};
 
 /**
  * @swagger
@@ -20,14 +145,50 @@ const fs = require('fs');
  *         email:
  *           type: string
  *           description: The email of the candidate
+ *         phone:
+ *           type: string
+ *           description: The phone number of the candidate
  *         skills:
  *           type: array
  *           items:
  *             type: string
  *           description: List of candidate's skills
- *         experience:
+ *         yearsOfExp:
  *           type: number
  *           description: Years of experience
+ *         workAuthorization:
+ *           type: string
+ *           enum: [USC, GC, GC-EAD, H1B, H4-EAD, L2-EAD, OPT, STEM-OPT, CPT, TN, E3, Other]
+ *           description: Right to work in the US
+ *         currentLocation:
+ *           type: string
+ *           description: Where the candidate lives, e.g. "Dallas, TX"
+ *         willingToRelocate:
+ *           type: boolean
+ *         availableFrom:
+ *           type: string
+ *           format: date
+ *           description: Earliest start date
+ *         rate:
+ *           type: object
+ *           properties:
+ *             bill:
+ *               type: number
+ *               description: Rate charged to the client
+ *             pay:
+ *               type: number
+ *               description: Rate paid to the candidate; not more than bill
+ *             currency:
+ *               type: string
+ *               default: USD
+ *             period:
+ *               type: string
+ *               enum: [yearly, monthly, weekly, hourly]
+ *               default: hourly
+ *             normalized:
+ *               type: object
+ *               readOnly: true
+ *               description: Hourly bill and pay in the base currency, used for filtering and sorting
  *         createdAt:
  *           type: string
  *           format: date
@@ -38,33 +199,157 @@ const fs = require('fs');
  * @swagger
  * /api/candidates:
  *   get:
- *     summary: Returns all candidates
+ *     summary: Returns candidates, paginated
  *     tags: [Candidates]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status; comma-separated for several
+ *       - in: query
+ *         name: technology
+ *         schema:
+ *           type: string
+ *         description: Filter by primary technology (case-insensitive)
+ *       - in: query
+ *         name: skills
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skills (case-insensitive)
+ *       - in: query
+ *         name: skillsMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether candidates need any or all of the listed skills
+ *       - in: query
+ *         name: minExp
+ *         schema:
+ *           type: number
+ *         description: Minimum years of experience
+ *       - in: query
+ *         name: maxExp
+ *         schema:
+ *           type: number
+ *         description: Maximum years of experience
+ *       - in: query
+ *         name: workAuthorization
+ *         schema:
+ *           type: string
+ *         description: Filter by work authorization (USC, GC, H1B, OPT, ...); comma-separated for several
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Current location contains this text (case-insensitive)
+ *       - in: query
+ *         name: willingToRelocate
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: availableBy
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Available to start on or before this date; candidates without a date are left out
+ *       - in: query
+ *         name: billRateMin
+ *         schema:
+ *           type: number
+ *         description: Minimum hourly bill rate in the base currency
+ *       - in: query
+ *         name: billRateMax
+ *         schema:
+ *           type: number
+ *         description: Maximum hourly bill rate in the base currency
+ *       - in: query
+ *         name: payRateMin
+ *         schema:
+ *           type: number
+ *         description: Minimum hourly pay rate in the base currency
+ *       - in: query
+ *         name: payRateMax
+ *         schema:
+ *           type: number
+ *         description: Maximum hourly pay rate in the base currency
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma-separated fields (name, yearsOfExp, technology, status, workAuthorization, currentLocation, availableFrom, billRate, payRate, createdAt, updatedAt); prefix with - for descending. Defaults to -createdAt
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of all candidates
+ *         description: A page of candidates
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Candidate'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     candidates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Candidate'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
  */
-router.get('/candidates', async (req, res) => {
+router.get('/candidates', canRead, validate(schemas.list), async (req, res) => {
   try {
-    const candidates = await Candidate.find();
-    res.json(candidates);
+    const pagination = parsePagination(req.query);
+    const sort = buildCandidateSort(req.query.sort, { createdAt: -1 });
+
+    const query = buildCandidateQuery(req.query);
+
+    const [candidates, total] = await Promise.all([
+      Candidate.find(query)
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .select('-__v')
+        .lean(),
+      Candidate.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        candidates,
+        pagination: buildPagination(total, pagination)
+      }
+    });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    console.error('Error fetching candidates:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching candidates',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
   }
 });
 
-
 /**
  * @swagger
  * /api/candidates/search:
  *   get:
- *     summary: Search candidates
+ *     summary: Search candidates, most relevant first
+ *     description: |
+ *       Words are matched through the text index, including other forms of the word
+ *       ("developers" finds "developer"). Use "double quotes" for an exact phrase and a
+ *       trailing * for a prefix (jav*). Terms with symbols, such as C++ or .NET, are matched literally.
  *     tags: [Candidates]
  *     parameters:
  *       - in: query
@@ -73,9 +358,95 @@ router.get('/candidates', async (req, res) => {
  *           type: string
  *         required: true
  *         description: Search query string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [profile, resume, all]
+ *           default: profile
+ *         description: Search the profile fields, the resume text, or both. With profile or resume, each word must also appear in those fields in some form (same stem)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status; comma-separated for several
+ *       - in: query
+ *         name: technology
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: skills
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: skillsMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *       - in: query
+ *         name: minExp
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxExp
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: workAuthorization
+ *         schema:
+ *           type: string
+ *         description: Filter by work authorization (USC, GC, H1B, OPT, ...); comma-separated for several
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Current location contains this text (case-insensitive)
+ *       - in: query
+ *         name: willingToRelocate
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: availableBy
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Available to start on or before this date; candidates without a date are left out
+ *       - in: query
+ *         name: billRateMin
+ *         schema:
+ *           type: number
+ *         description: Minimum hourly bill rate in the base currency
+ *       - in: query
+ *         name: billRateMax
+ *         schema:
+ *           type: number
+ *         description: Maximum hourly bill rate in the base currency
+ *       - in: query
+ *         name: payRateMin
+ *         schema:
+ *           type: number
+ *         description: Minimum hourly pay rate in the base currency
+ *       - in: query
+ *         name: payRateMax
+ *         schema:
+ *           type: number
+ *         description: Maximum hourly pay rate in the base currency
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: As for GET /api/candidates; results are ordered by these fields first, then by relevance
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of matching candidates
+ *         description: A page of matching candidates with their relevance `score`; resume searches include highlighted snippets in `highlights`
  *         content:
  *           application/json:
  *             schema:
@@ -84,39 +455,42 @@ router.get('/candidates', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Candidate'
+ *                   type: object
+ *                   properties:
+ *                     candidates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Candidate'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
  */
-router.get('/candidates/search', async (req, res) => {
+router.get('/candidates/search', canRead, validate(schemas.search), async (req, res) => {
   try {
-    const { q } = req.query;
-
-    if (!q) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query is required'
-      });
-    }
+    const { q, scope = 'profile', sort } = req.query;
+    const pagination = parsePagination(req.query);
 
-    const searchQuery = {
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } },
-        { technology: { $regex: q, $options: 'i' } },
-        { skills: { $regex: q, $options: 'i' } }
-      ]
-    };
-
-    const candidates = await Candidate.find(searchQuery)
-      .limit(10)
-      .select('-resumeFile')
-      .sort({ updatedAt: -1 })
-      .lean();
+    const searchResume = scope !== 'profile';
+    const { results, total } = await textSearch('Candidate', q, {
+      fields: candidateSearchFields(scope),
+      // The list filters; q is searched with relevance scores below rather than as a plain filter
+      filter: buildCandidateQuery({ ...req.query, q: undefined }),
+      sort: buildCandidateSort(sort, {}),
+      skip: pagination.skip,
+      limit: pagination.limit,
+      project: searchResume ? { resumeFile: 0, __v: 0 } : { resumeFile: 0, resumeText: 0, __v: 0 }
+    });
 
     res.json({
       success: true,
-      data: candidates
+      data: {
+        candidates: searchResume ?
+          results.map(({ resumeText, ...candidate }) => ({
+            ...candidate,
+            highlights: buildHighlights(resumeText, parseQuery(q).map(term => term.value))
+          })) :
+          results,
+        pagination: buildPagination(total, pagination)
+      }
     });
 
   } catch (err) {
@@ -129,6 +503,51 @@ router.get('/candidates/search', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/candidates/duplicates:
+ *   get:
+ *     summary: Find likely duplicate candidates
+ *     description: |
+ *       Pairs of candidates scored from 0 to 100 on name similarity, phone number,
+ *       email address before the @ and shared skills, best first.
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *           default: 50
+ *         description: Only return pairs scoring at least this much
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Candidate pairs with their score and its breakdown
+ */
+router.get('/candidates/duplicates', canWrite, validate(schemas.duplicates), async (req, res) => {
+  try {
+    const { minScore = 50, limit = 20 } = req.query;
+
+    const candidates = await Candidate.find().select(DUPLICATE_FIELDS).lean();
+
+    res.json({
+      success: true,
+      data: findDuplicates(candidates, { minScore, limit })
+    });
+  } catch (err) {
+    console.error('Error finding duplicate candidates:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error finding duplicate candidates',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/candidates/{id}:
@@ -152,7 +571,7 @@ router.get('/candidates/search', async (req, res) => {
  *       404:
  *         description: Candidate not found
  */
-router.get('/candidates/:id', async (req, res) => {
+router.get('/candidates/:id', canRead, validate({ params: schemas.idParams }), async (req, res) => {
   try {
     const candidate = await Candidate.findById(req.params.id);
     if (!candidate) {
@@ -166,59 +585,305 @@ router.get('/candidates/:id', async (req, res) => {
 
 /**
  * @swagger
- * /api/candidate:
- *   post:
- *     summary: Create a new candidate
+ * /api/candidates/{id}/recommended-jobs:
+ *   get:
+ *     summary: Rank active jobs by how well they match a candidate
  *     tags: [Candidates]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               skills:
- *                 type: array
- *                 items:
- *                   type: string
- *               experience:
- *                 type: number
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *         description: Drop matches scoring below this (0-100)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of jobs (default 20)
  *     responses:
- *       201:
- *         description: The created candidate
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Candidate'
+ *       200:
+ *         description: Jobs with score and skill, experience and technology breakdown
+ *       404:
+ *         description: Candidate not found
  */
-router.post('/candidate', async (req, res) => {
-  const candidate = new Candidate({
-    name: req.body.name,
-    email: req.body.email,
-    skills: req.body.skills,
-    experience: req.body.experience
-  });
-
+router.get('/candidates/:id/recommended-jobs', canRead, validate(schemas.recommendedJobs), async (req, res) => {
   try {
-    const newCandidate = await candidate.save();
-    res.status(201).json(newCandidate);
+    const { minScore = 0, limit = 20 } = req.query;
+
+    const candidate = await Candidate.findById(req.params.id).select('-resumeFile').lean();
+    if (!candidate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    const jobs = await Job.find({ status: 'active', applicationDeadline: { $gte: new Date() } })
+      .select('title company location remote jobType experienceLevel primaryTechnology requiredSkills applicationDeadline')
+      .lean();
+
+    const matches = rankMatches(jobs, job => scoreMatch(candidate, job), {
+      limit: parseInt(limit),
+      minScore: Number(minScore)
+    });
+
+    res.json({
+      success: true,
+      data: matches.map(({ item, score, breakdown }) => ({ job: item, score, breakdown }))
+    });
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    console.error('Error recommending jobs:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error recommending jobs',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
   }
 });
 
 /**
  * @swagger
- * /api/candidate/with-resume:
- *   post:
- *     summary: Create a new candidate with resume
+ * /api/candidates/{id}/duplicates:
+ *   get:
+ *     summary: Find likely duplicates of one candidate
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *           default: 50
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Pairs with this candidate first, with their score and its breakdown
+ *       404:
+ *         description: Candidate not found
+ */
+router.get('/candidates/:id/duplicates', canWrite, validate(schemas.candidateDuplicates), async (req, res) => {
+  try {
+    const { minScore = 50, limit = 20 } = req.query;
+
+    if (!await Candidate.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    const candidates = await Candidate.find().select(DUPLICATE_FIELDS).lean();
+
+    res.json({
+      success: true,
+      data: findDuplicates(candidates, { candidateId: req.params.id, minScore, limit })
+    });
+  } catch (err) {
+    console.error('Error finding duplicate candidates:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error finding duplicate candidates',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidates/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate candidates into this one
+ *     description: |
+ *       The candidate in the path survives and keeps its email; the others are deleted.
+ *       Skills are combined, the highest yearsOfExp and the most active status are kept,
+ *       empty fields are filled from the duplicates, and the newest resume is kept.
+ *       The duplicates' emails are added to alternateEmails, and their hotlist entries,
+ *       applications and interviews move to the surviving candidate.
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The id of the candidate to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mergeIds
+ *             properties:
+ *               mergeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ids of the duplicate candidates to merge in
+ *     responses:
+ *       200:
+ *         description: The merged candidate and what was moved
+ *       400:
+ *         description: Invalid or unknown mergeIds
+ *       404:
+ *         description: Candidate not found
+ */
+router.post('/candidates/:id/merge', canWrite, validate(schemas.merge), async (req, res) => {
+  try {
+    const { mergeIds } = req.body;
+
+    if (mergeIds.includes(req.params.id)) {
+      return sendValidationError(res, [{ location: 'body', field: 'mergeIds', message: 'mergeIds must not include the surviving candidate' }]);
+    }
+
+    const [survivor, duplicates] = await Promise.all([
+      Candidate.findById(req.params.id).select('+resumeText'),
+      Candidate.find({ _id: { $in: mergeIds } }).select('+resumeText')
+    ]);
+
+    if (!survivor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    const foundIds = new Set(duplicates.map(duplicate => duplicate._id.toString()));
+    const unknownIds = mergeIds.filter(id => !foundIds.has(id));
+    if (unknownIds.length > 0) {
+      return sendValidationError(res, unknownIds.map(id => ({
+        location: 'body',
+        field: 'mergeIds',
+        message: `Candidate ${id} not found`
+      })));
+    }
+
+    const result = await mergeCandidates(survivor, duplicates, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    if (handleModelError(res, err)) return;
+
+    console.error('Error merging candidates:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging candidates',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidate:
+ *   post:
+ *     summary: Create a new candidate
+ *     tags: [Candidates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               yearsOfExp:
+ *                 type: number
+ *               technology:
+ *                 type: string
+ *               skills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               workAuthorization:
+ *                 type: string
+ *               currentLocation:
+ *                 type: string
+ *               willingToRelocate:
+ *                 type: boolean
+ *               availableFrom:
+ *                 type: string
+ *                 format: date
+ *               rate:
+ *                 type: object
+ *                 description: Bill and pay rate, as in the Candidate schema
+ *               avatar:
+ *                 type: string
+ *                 description: Avatar URL
+ *               status:
+ *                 type: string
+ *                 enum: [active, inactive, pending]
+ *     responses:
+ *       201:
+ *         description: The created candidate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Candidate'
+ *       409:
+ *         description: The email belongs to another candidate, possibly an archived one
+ */
+router.post('/candidate', canWrite, validate(schemas.create), async (req, res) => {
+  const candidate = new Candidate({
+    name: req.body.name,
+    email: req.body.email,
+    phone: req.body.phone,
+    yearsOfExp: req.body.yearsOfExp,
+    technology: req.body.technology,
+    skills: req.body.skills,
+    workAuthorization: req.body.workAuthorization,
+    currentLocation: req.body.currentLocation,
+    willingToRelocate: req.body.willingToRelocate,
+    availableFrom: req.body.availableFrom,
+    rate: req.body.rate,
+    avatar: req.body.avatar,
+    status: req.body.status
+  });
+
+  try {
+    if (await rejectArchivedEmail(res, candidate.email)) return;
+
+    const newCandidate = await setActor(candidate, req.user).save();
+    res.status(201).json(newCandidate);
+  } catch (err) {
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidate/with-resume:
+ *   post:
+ *     summary: Create a new candidate with resume
  *     tags: [Candidates]
  *     consumes:
  *       - multipart/form-data
@@ -238,6 +903,10 @@ router.post('/candidate', async (req, res) => {
  *         required: true
  *         description: The email of the candidate
  *       - in: formData
+ *         name: phone
+ *         type: string
+ *         description: The phone number of the candidate
+ *       - in: formData
  *         name: yearsOfExp
  *         type: number
  *         required: true
@@ -254,9 +923,20 @@ router.post('/candidate', async (req, res) => {
  *           type: string
  *         description: List of candidate's skills
  *       - in: formData
- *         name: experience
- *         type: number
- *         description: Years of experience (legacy field)
+ *         name: workAuthorization
+ *         type: string
+ *         description: Right to work in the US (USC, GC, H1B, OPT, ...)
+ *       - in: formData
+ *         name: currentLocation
+ *         type: string
+ *       - in: formData
+ *         name: willingToRelocate
+ *         type: boolean
+ *       - in: formData
+ *         name: availableFrom
+ *         type: string
+ *         format: date
+ *         description: Earliest start date
  *       - in: formData
  *         name: avatar
  *         type: string
@@ -270,51 +950,485 @@ router.post('/candidate', async (req, res) => {
  *               $ref: '#/components/schemas/Candidate'
  *       400:
  *         description: Invalid input or file type
+ *       409:
+ *         description: The email belongs to another candidate, possibly an archived one
  */
-router.post('/candidate/with-resume', upload.single('resumeFile'), async (req, res) => {
+router.post('/candidate/with-resume', canWrite, upload.single('resumeFile'), validate(schemas.create), async (req, res) => {
+  let resumeKey;
   try {
     const { 
       name, 
       email,
+      phone,
       yearsOfExp, 
       technology, 
       skills, 
-      experience,
+      workAuthorization,
+      currentLocation,
+      willingToRelocate,
+      availableFrom,
       avatar,
       status 
     } = req.body;
 
-    // Convert skills from string to array if it comes as comma-separated string
-    const skillsArray = typeof skills === 'string' ? 
-      skills.split(',').map(skill => skill.trim()).filter(Boolean) : 
-      skills || undefined; // undefined will trigger the default empty array
+    if (await rejectArchivedEmail(res, email)) return;
+
+    const skillsArray = parseSkills(skills);
 
     const candidate = new Candidate({
       name,  // required
       email, // required
+      phone,
       yearsOfExp: yearsOfExp ? Number(yearsOfExp) : undefined,
       technology,
       skills: skillsArray,
-      experience: experience ? Number(experience) : undefined,
+      workAuthorization,
+      currentLocation,
+      willingToRelocate,
+      availableFrom,
       avatar,
-      status,
-      resumeFile: req.file ? {
-        filename: req.file.filename,
-        path: req.file.path,
-        mimetype: req.file.mimetype
-      } : undefined
+      status
     });
 
-    const newCandidate = await candidate.save();
+    if (req.file) {
+      resumeKey = await setResume(candidate, req.file);
+    }
+
+    const newCandidate = await setActor(candidate, req.user).save();
     res.status(201).json(newCandidate);
   } catch (err) {
-    // Clean up uploaded file if save fails
-    if (req.file) {
-      fs.unlink(req.file.path, (unlinkErr) => {
-        if (unlinkErr) console.error('Error deleting file:', unlinkErr);
-      });
+    // Clean up the stored file if save fails
+    storage.removeQuietly(resumeKey);
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
     }
-    res.status(400).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidates/import:
+ *   post:
+ *     summary: Bulk import candidates from a CSV or XLSX file
+ *     description: |
+ *       Columns are matched to candidate fields by header (name, email, yearsOfExp, technology,
+ *       skills, status, avatar, workAuthorization, currentLocation, willingToRelocate, availableFrom,
+ *       billRate, payRate and common variants). Skills may be comma or semicolon separated;
+ *       rates are in the base currency, per hour.
+ *     tags: [Candidates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - importFile
+ *             properties:
+ *               importFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or XLSX file with a header row; only the first worksheet of an XLSX file is imported
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Validate and report without saving anything
+ *               upsert:
+ *                 type: boolean
+ *                 description: Update candidates whose email already exists instead of rejecting the row
+ *               columns:
+ *                 type: string
+ *                 description: 'JSON object mapping extra headers to fields, e.g. {"Primary Skill": "technology"}'
+ *     responses:
+ *       200:
+ *         description: Summary and per-row report of created, updated and rejected rows
+ *       400:
+ *         description: Missing or unreadable file
+ */
+router.post('/candidates/import', canWrite, upload.single('importFile'), validate(schemas.import), async (req, res) => {
+  try {
+    if (!req.file) {
+      return sendValidationError(res, [{ location: 'body', field: 'importFile', message: 'importFile is required' }]);
+    }
+
+    let rows;
+    try {
+      rows = await readRows(req.file.buffer, req.file.originalname);
+    } catch (readErr) {
+      return sendValidationError(res, [{ location: 'body', field: 'importFile', message: 'importFile could not be read' }]);
+    }
+
+    const report = await importCandidates(rows, {
+      dryRun: req.body.dryRun === true,
+      upsert: req.body.upsert === true,
+      columns: req.body.columns,
+      actor: req.user
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (err) {
+    console.error('Error importing candidates:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing candidates',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidates/{id}:
+ *   put:
+ *     summary: Replace a candidate's details
+ *     description: |
+ *       Fields left out are reset to their defaults (rate and workAuthorization to null, status to
+ *       pending, and so on). Resume, alternate emails and history are kept. Use PATCH to change some fields only.
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Candidate'
+ *     responses:
+ *       200:
+ *         description: The updated candidate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Candidate'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Candidate not found
+ *   patch:
+ *     summary: Update some of a candidate's details
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Candidate'
+ *     responses:
+ *       200:
+ *         description: The updated candidate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Candidate'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Candidate not found
+ */
+const updateCandidate = ({ replace }) => async (req, res) => {
+  try {
+    const candidate = await Candidate.findById(req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    if (replace) resetOmittedFields(candidate, req.body);
+    applyUpdates(candidate, req.body);
+
+    // save() rather than findByIdAndUpdate so the pre('save') hook sets updatedAt
+    const updatedCandidate = await setActor(candidate, req.user).save();
+    res.json(updatedCandidate);
+  } catch (err) {
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+};
+
+router.put('/candidates/:id', canWrite, validate(schemas.replace), updateCandidate({ replace: true }));
+router.patch('/candidates/:id', canWrite, validate(schemas.update), updateCandidate({ replace: false }));
+
+/**
+ * @swagger
+ * /api/candidates/{id}:
+ *   delete:
+ *     summary: Archive a candidate
+ *     description: >
+ *       The candidate is hidden from lists, search, hotlists and matching but keeps their
+ *       applications and resume until restored or purged (see /api/archive/candidates).
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *     responses:
+ *       200:
+ *         description: Candidate archived
+ *       404:
+ *         description: Candidate not found
+ */
+router.delete('/candidates/:id', canWrite, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const candidate = await Candidate.findById(req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    await candidate.archive(req.user);
+    res.json({ message: 'Candidate archived' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidates/{id}/resume:
+ *   put:
+ *     summary: Upload or replace a candidate's resume
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resumeFile
+ *             properties:
+ *               resumeFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Candidate's resume (PDF or DOC)
+ *     responses:
+ *       200:
+ *         description: The updated candidate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Candidate'
+ *       400:
+ *         description: Missing or invalid file
+ *       404:
+ *         description: Candidate not found
+ *   delete:
+ *     summary: Remove a candidate's resume
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *     responses:
+ *       200:
+ *         description: The updated candidate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Candidate'
+ *       404:
+ *         description: Candidate not found
+ */
+router.put('/candidates/:id/resume', canWrite, upload.single('resumeFile'), validate({ params: schemas.idParams }), async (req, res) => {
+  let resumeKey;
+  try {
+    if (!req.file) {
+      return sendValidationError(res, [{ location: 'body', field: 'resumeFile', message: 'resumeFile is required' }]);
+    }
+
+    const candidate = await Candidate.findById(req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    const oldPath = candidate.resumeFile && candidate.resumeFile.path;
+
+    resumeKey = await setResume(candidate, req.file);
+
+    const updatedCandidate = await setActor(candidate, req.user).save();
+
+    // Only drop the old file once the new one is recorded
+    storage.removeQuietly(oldPath);
+    res.json(updatedCandidate);
+  } catch (err) {
+    storage.removeQuietly(resumeKey);
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
+
+router.delete('/candidates/:id/resume', canWrite, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const candidate = await Candidate.findById(req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    const oldPath = candidate.resumeFile && candidate.resumeFile.path;
+
+    candidate.resumeFile = { filename: null, path: null, mimetype: null };
+    candidate.resumeText = '';
+    candidate.resumeIndexedAt = null;
+    const updatedCandidate = await setActor(candidate, req.user).save();
+
+    storage.removeQuietly(oldPath);
+    res.json(updatedCandidate);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidates/{id}/resume/download:
+ *   get:
+ *     summary: Download a candidate's resume
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *     responses:
+ *       200:
+ *         description: The resume file, as an attachment with its original file name
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Candidate or resume not found
+ */
+router.get('/candidates/:id/resume/download', staffOnly, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const candidate = await Candidate.findById(req.params.id).select('resumeFile').lean();
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+    if (!candidate.resumeFile || !candidate.resumeFile.path) {
+      return res.status(404).json({ message: 'Candidate has no resume' });
+    }
+
+    await sendResume(res, candidate.resumeFile);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candidates/{id}/resume/link:
+ *   post:
+ *     summary: Create a signed, expiring download link for a candidate's resume
+ *     description: |
+ *       The link works without authentication until it expires (RESUME_LINK_TTL_SECONDS,
+ *       15 minutes by default), or until the resume is replaced or removed.
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The candidate id
+ *     responses:
+ *       201:
+ *         description: The download URL and when it expires
+ *       404:
+ *         description: Candidate or resume not found
+ */
+router.post('/candidates/:id/resume/link', staffOnly, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const candidate = await Candidate.findById(req.params.id).select('resumeFile').lean();
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+    if (!candidate.resumeFile || !candidate.resumeFile.path) {
+      return res.status(404).json({ message: 'Candidate has no resume' });
+    }
+
+    const { token, expiresAt } = createResumeToken(candidate);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        url: `${req.protocol}://${req.get('host')}/api/resumes/${token}`,
+        expiresAt
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/resumes/{token}:
+ *   get:
+ *     summary: Download a resume through a signed link
+ *     tags: [Candidates]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Token from POST /api/candidates/{id}/resume/link
+ *     responses:
+ *       200:
+ *         description: The resume file, as an attachment with its original file name
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: The link is invalid, has expired, or the resume has changed
+ */
+router.get('/resumes/:token', validate(schemas.resumeDownload), async (req, res) => {
+  try {
+    const payload = verifyResumeToken(req.params.token);
+    const candidate = payload && await Candidate.findById(payload.sub).select('resumeFile').lean();
+
+    // Same response for every failure so a link reveals nothing once it stops working
+    if (!candidate || !candidate.resumeFile || candidate.resumeFile.path !== payload.file) {
+      return res.status(404).json({ message: 'This link is invalid or has expired' });
+    }
+
+    await sendResume(res, candidate.resumeFile);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
 });
 
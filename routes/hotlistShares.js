@@ -0,0 +1,378 @@
+const express = require('express');
+const router = express.Router();
+const Hotlist = require('../models/Hotlist');
+const HotlistShare = require('../models/HotlistShare');
+const HotlistShareAccess = require('../models/HotlistShareAccess');
+const { fieldProfiles, defaultProfile, defaultExpiryDays } = require('../config/sharing');
+const { createShareToken, findActiveShare, redactCandidate } = require('../utils/hotlistShares');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const { staffOnly } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/hotlistShares');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HotlistShare:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         hotlist:
+ *           type: string
+ *         label:
+ *           type: string
+ *           description: Who the link is for
+ *         profile:
+ *           type: string
+ *           description: Field profile the link was created with, or custom
+ *         fields:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Candidate fields the link shows
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         accessCount:
+ *           type: integer
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const sendError = (res, action, err) => {
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+};
+
+const hotlistNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Hotlist not found'
+});
+
+const shareNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Share link not found'
+});
+
+/**
+ * @swagger
+ * /api/hotlist/{id}/shares:
+ *   post:
+ *     summary: Create a read-only link to a hotlist for someone without an account
+ *     description: |
+ *       The link shows the hotlist's name and description and, for each candidate, only the
+ *       fields of the chosen profile (or the listed fields). Emails, phone numbers and resumes
+ *       are never shared. The link is returned once and cannot be retrieved later.
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 description: Who the link is for
+ *               profile:
+ *                 type: string
+ *                 enum: [anonymous, standard, detailed]
+ *                 description: Defaults to standard; cannot be combined with fields
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [name, avatar, technology, skills, yearsOfExp, workAuthorization, currentLocation, willingToRelocate, availableFrom, status]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Defaults to 14 (HOTLIST_SHARE_DEFAULT_DAYS); at most 90 (HOTLIST_SHARE_MAX_DAYS)
+ *     responses:
+ *       201:
+ *         description: The share and its URL
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Hotlist not found
+ *   get:
+ *     summary: Share links of a hotlist, newest first
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The hotlist's share links, without their tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HotlistShare'
+ *       404:
+ *         description: Hotlist not found
+ */
+router.post('/hotlist/:id/shares', staffOnly, validate(schemas.create), async (req, res) => {
+  try {
+    const hotlist = await Hotlist.exists({ _id: req.params.id });
+    if (!hotlist) return hotlistNotFound(res);
+
+    const { label = '', fields, expiresInDays = defaultExpiryDays } = req.body;
+    const profile = fields ? 'custom' : req.body.profile || defaultProfile;
+    const { token, tokenHash } = createShareToken();
+
+    const share = await HotlistShare.create({
+      hotlist: hotlist._id,
+      tokenHash,
+      label,
+      profile,
+      fields: fields || fieldProfiles[profile],
+      expiresAt: new Date(Date.now() + expiresInDays * DAY_MS),
+      createdBy: req.user.id
+    });
+
+    const data = share.toJSON();
+    delete data.tokenHash;
+
+    res.status(201).json({
+      success: true,
+      data: {
+        share: data,
+        url: `${req.protocol}://${req.get('host')}/api/shared/hotlists/${token}`
+      }
+    });
+  } catch (err) {
+    sendError(res, 'creating share link', err);
+  }
+});
+
+router.get('/hotlist/:id/shares', staffOnly, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const hotlist = await Hotlist.exists({ _id: req.params.id });
+    if (!hotlist) return hotlistNotFound(res);
+
+    const shares = await HotlistShare.find({ hotlist: hotlist._id })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    res.json({
+      success: true,
+      data: shares
+    });
+  } catch (err) {
+    sendError(res, 'fetching share links', err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/hotlist/{id}/shares/{shareId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working immediately; the share and its access log are kept.
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked share
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HotlistShare'
+ *       404:
+ *         description: Share link not found
+ *       409:
+ *         description: Share link is already revoked
+ */
+router.delete('/hotlist/:id/shares/:shareId', staffOnly, validate(schemas.revoke), async (req, res) => {
+  try {
+    const share = await HotlistShare.findOne({ _id: req.params.shareId, hotlist: req.params.id });
+    if (!share) return shareNotFound(res);
+
+    if (share.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Share link is already revoked'
+      });
+    }
+
+    share.revokedAt = new Date();
+    share.revokedBy = req.user.id;
+    await share.save();
+
+    res.json({
+      success: true,
+      data: share
+    });
+  } catch (err) {
+    sendError(res, 'revoking share link', err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/hotlist/{id}/shares/{shareId}/accesses:
+ *   get:
+ *     summary: When a share link was opened, newest first
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of accesses with their time, IP address and user agent
+ *       404:
+ *         description: Share link not found
+ */
+router.get('/hotlist/:id/shares/:shareId/accesses', staffOnly, validate(schemas.accesses), async (req, res) => {
+  try {
+    const share = await HotlistShare.exists({ _id: req.params.shareId, hotlist: req.params.id });
+    if (!share) return shareNotFound(res);
+
+    const pagination = parsePagination(req.query, 20);
+    const [accesses, total] = await Promise.all([
+      HotlistShareAccess.find({ share: share._id })
+        .sort({ accessedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .select('-__v -share -hotlist')
+        .lean(),
+      HotlistShareAccess.countDocuments({ share: share._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        accesses,
+        pagination: buildPagination(total, pagination)
+      }
+    });
+  } catch (err) {
+    sendError(res, 'fetching share link accesses', err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/shared/hotlists/{token}:
+ *   get:
+ *     summary: View a hotlist through a share link
+ *     description: Candidates are in hotlist order and show only the fields the link was created with.
+ *     tags: [Hotlists]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the URL returned by POST /api/hotlist/{id}/shares
+ *     responses:
+ *       200:
+ *         description: The hotlist's name and description and its redacted candidates
+ *       404:
+ *         description: The link is invalid, revoked or expired, or the hotlist was deleted
+ */
+router.get('/shared/hotlists/:token', validate(schemas.shared), async (req, res) => {
+  try {
+    const share = await findActiveShare(req.params.token);
+    const hotlist = share && await Hotlist.findById(share.hotlist)
+      .select('name description candidates')
+      .populate({ path: 'candidates', select: share.fields.join(' ') })
+      .lean();
+
+    // Same response for every failure so a link reveals nothing once it stops working
+    if (!hotlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    await Promise.all([
+      HotlistShareAccess.create({
+        share: share._id,
+        hotlist: hotlist._id,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null
+      }),
+      HotlistShare.updateOne({ _id: share._id }, { $inc: { accessCount: 1 }, lastAccessedAt: new Date() })
+    ]);
+
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    res.json({
+      success: true,
+      data: {
+        hotlist: {
+          name: hotlist.name,
+          description: hotlist.description
+        },
+        candidates: hotlist.candidates.map(candidate => redactCandidate(candidate, share.fields)),
+        expiresAt: share.expiresAt
+      }
+    });
+  } catch (err) {
+    sendError(res, 'fetching shared hotlist', err);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const Hotlist = require('../models/Hotlist');
+const Candidate = require('../models/Candidate');
+const { canRead, canWrite } = require('../middleware/auth');
+const { setActor } = require('../models/plugins/audit');
+const { validate, sendValidationError, handleModelError } = require('../middleware/validate');
+const schemas = require('../validators/hotlists');
+const { parseColumns, toCsv, toHtml } = require('../utils/hotlistExport');
+const { parsePagination, buildPagination, parseSort } = require('../utils/pagination');
+const { textSearch } = require('../utils/textSearch');
+const { buildCandidateQuery, buildCandidateSort } = require('../utils/listQueries');
+
+// Fields GET /hotlists can sort on
+const SORT_FIELDS = ['name', 'createdAt', 'updatedAt'];
+
+// Accept either a single candidateId or a candidateIds array in the body
+const getCandidateIds = (body) => body.candidateIds || [body.candidateId];
+
+// Same shape GET /hotlist/:id returns
+const findPopulatedHotlist = (id) => Hotlist.findById(id).populate('candidates');
+
+// The hotlist's candidates matching the candidate list filters in `query`, in `query.sort` order or the hotlist's own
+const findExportCandidates = async (hotlist, query) => {
+  const candidates = await Candidate.find({ ...buildCandidateQuery(query), _id: { $in: hotlist.candidates } })
+    .sort(buildCandidateSort(query.sort, {}))
+    .lean();
+  if (query.sort) return candidates;
+
+  const position = new Map(hotlist.candidates.map((id, index) => [id.toString(), index]));
+  return candidates.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+};
 
 /**
  * @swagger
@@ -26,30 +55,129 @@ const Hotlist = require('../models/Hotlist');
  *           type: string
  *           format: date
  *           description: The date of creation
+ *         updatedAt:
+ *           type: string
+ *           format: date
+ *           description: The date of the last change
+ *     HotlistCandidateIds:
+ *       type: object
+ *       properties:
+ *         candidateId:
+ *           type: string
+ *           description: A single candidate ID
+ *         candidateIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Array of candidate IDs
  */
 
 /**
  * @swagger
  * /api/hotlists:
  *   get:
- *     summary: Returns all hotlists
+ *     summary: Returns hotlists, paginated
  *     tags: [Hotlists]
+ *     parameters:
+ *       - in: query
+ *         name: candidates
+ *         schema:
+ *           type: string
+ *           enum: [full, count]
+ *           default: full
+ *         description: Populate each hotlist's candidates, or return only candidateCount
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma-separated fields (name, createdAt, updatedAt); prefix with - for descending. Defaults to -createdAt
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of all hotlists
+ *         description: A page of hotlists
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Hotlist'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hotlists:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Hotlist'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
  */
-router.get('/hotlists', async (req, res) => {
+router.get('/hotlists', canRead, validate(schemas.list), async (req, res) => {
   try {
-    const hotlists = await Hotlist.find().populate('candidates');
-    res.json(hotlists);
+    const pagination = parsePagination(req.query);
+    const sort = parseSort(req.query.sort, SORT_FIELDS, { createdAt: -1 });
+
+    // Counting in the database avoids loading every candidate document
+    const hotlistsQuery = req.query.candidates === 'count' ?
+      Hotlist.aggregate([
+        { $sort: sort },
+        { $skip: pagination.skip },
+        { $limit: pagination.limit },
+        {
+          $lookup: {
+            from: Candidate.collection.name,
+            let: { ids: '$candidates' },
+            pipeline: [
+              { $match: { $expr: { $in: ['$_id', '$$ids'] }, deletedAt: null } },
+              { $project: { _id: 1 } }
+            ],
+            as: 'visibleCandidates'
+          }
+        },
+        {
+          $project: {
+            name: 1,
+            description: 1,
+            createdAt: 1,
+            updatedAt: 1,
+            // Archived candidates stay in the list but aren't shown, so they aren't counted
+            candidateCount: { $size: '$visibleCandidates' }
+          }
+        }
+      ]) :
+      Hotlist.find()
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('candidates')
+        .lean();
+
+    const [hotlists, total] = await Promise.all([
+      hotlistsQuery,
+      Hotlist.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        hotlists,
+        pagination: buildPagination(total, pagination)
+      }
+    });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    console.error('Error fetching hotlists:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching hotlists',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
   }
 });
 
@@ -57,7 +185,8 @@ router.get('/hotlists', async (req, res) => {
  * @swagger
  * /api/hotlists/search:
  *   get:
- *     summary: Search hotlists
+ *     summary: Search hotlists by name and description, most relevant first
+ *     description: Supports "exact phrases", prefixes (jav*) and literal terms such as C++, as in /api/candidates/search.
  *     tags: [Hotlists]
  *     parameters:
  *       - in: query
@@ -66,9 +195,17 @@ router.get('/hotlists', async (req, res) => {
  *           type: string
  *         required: true
  *         description: Search query string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of matching hotlists
+ *         description: A page of matching hotlists with their relevance `score`
  *         content:
  *           application/json:
  *             schema:
@@ -77,40 +214,35 @@ router.get('/hotlists', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Hotlist'
+ *                   type: object
+ *                   properties:
+ *                     hotlists:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Hotlist'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
  */
-router.get('/hotlists/search', async (req, res) => {
+router.get('/hotlists/search', canRead, validate(schemas.search), async (req, res) => {
   try {
-    const { q } = req.query;
+    const pagination = parsePagination(req.query);
 
-    if (!q) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query is required'
-      });
-    }
+    const { results, total } = await textSearch('Hotlist', req.query.q, {
+      skip: pagination.skip,
+      limit: pagination.limit
+    });
 
-    const searchQuery = {
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } }
-      ]
-    };
-
-    const hotlists = await Hotlist.find(searchQuery)
-      .limit(10)
-      .populate({
-        path: 'candidates',
-        select: 'name email technology'
-      })
-      .sort({ updatedAt: -1 })
-      .lean();
+    const hotlists = await Hotlist.populate(results, {
+      path: 'candidates',
+      select: 'name email technology'
+    });
 
     res.json({
       success: true,
-      data: hotlists
+      data: {
+        hotlists,
+        pagination: buildPagination(total, pagination)
+      }
     });
 
   } catch (err) {
@@ -146,9 +278,9 @@ router.get('/hotlists/search', async (req, res) => {
  *       404:
  *         description: Hotlist not found
  */
-router.get('/hotlist/:id', async (req, res) => {
+router.get('/hotlist/:id', canRead, validate({ params: schemas.idParams }), async (req, res) => {
   try {
-    const hotlist = await Hotlist.findById(req.params.id).populate('candidates');
+    const hotlist = await findPopulatedHotlist(req.params.id);
     if (!hotlist) {
       return res.status(404).json({ message: 'Hotlist not found' });
     }
@@ -158,6 +290,96 @@ router.get('/hotlist/:id', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/hotlist/{id}/export:
+ *   get:
+ *     summary: Export a hotlist as CSV or as an HTML table for email
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The hotlist id
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, html]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Comma-separated columns (name, email, technology, yearsOfExp, skills, workAuthorization,
+ *           currentLocation, willingToRelocate, availableFrom, billRate, payRate, status).
+ *           Defaults to name,technology,yearsOfExp,skills,workAuthorization,currentLocation,availableFrom,status
+ *       - in: query
+ *         name: redact
+ *         schema:
+ *           type: boolean
+ *         description: Mask contact details such as email and leave pay rates blank
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Sort as for GET /api/candidates; defaults to the hotlist's order
+ *       - in: query
+ *         name: filters
+ *         style: form
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: |
+ *           The GET /api/candidates filters (status, technology, skills, skillsMatch, minExp, maxExp,
+ *           workAuthorization, location, willingToRelocate, availableBy, billRateMin, billRateMax,
+ *           payRateMin, payRateMax) limit which of the hotlist's candidates are exported
+ *     responses:
+ *       200:
+ *         description: The exported hotlist
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format or column
+ *       404:
+ *         description: Hotlist not found
+ */
+router.get('/hotlist/:id/export', canRead, validate(schemas.export), async (req, res) => {
+  try {
+    const { format, redact } = req.query;
+    const { columns } = parseColumns(req.query.columns);
+
+    const hotlist = await Hotlist.findById(req.params.id).lean();
+    if (!hotlist) {
+      return res.status(404).json({ message: 'Hotlist not found' });
+    }
+    hotlist.candidates = await findExportCandidates(hotlist, req.query);
+
+    const options = { columns, redact };
+    const filename = (hotlist.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'hotlist').toLowerCase();
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(toCsv(hotlist, options));
+    }
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}.html"`);
+    res.send(toHtml(hotlist, options));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/hotlists:
@@ -189,7 +411,7 @@ router.get('/hotlist/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Hotlist'
  */
-router.post('/hotlists', async (req, res) => {
+router.post('/hotlists', canWrite, validate(schemas.create), async (req, res) => {
   const hotlist = new Hotlist({
     name: req.body.name,
     description: req.body.description,
@@ -197,13 +419,293 @@ router.post('/hotlists', async (req, res) => {
   });
 
   try {
-    const newHotlist = await hotlist.save();
+    const newHotlist = await setActor(hotlist, req.user).save();
     res.status(201).json(newHotlist);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/hotlist/{id}:
+ *   patch:
+ *     summary: Update a hotlist's name or description
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The hotlist id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated hotlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hotlist'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Hotlist not found
+ *   delete:
+ *     summary: Archive a hotlist
+ *     description: The hotlist is hidden until restored or purged (see /api/archive/hotlists).
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The hotlist id
+ *     responses:
+ *       200:
+ *         description: Hotlist archived
+ *       404:
+ *         description: Hotlist not found
+ */
+router.patch('/hotlist/:id', canWrite, validate(schemas.update), async (req, res) => {
+  try {
+    const hotlist = await Hotlist.findById(req.params.id);
+    if (!hotlist) {
+      return res.status(404).json({ message: 'Hotlist not found' });
+    }
+
+    if (req.body.name !== undefined) hotlist.name = req.body.name;
+    if (req.body.description !== undefined) hotlist.description = req.body.description;
+
+    await setActor(hotlist, req.user).save();
+    res.json(await findPopulatedHotlist(hotlist._id));
+  } catch (err) {
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
+
+router.delete('/hotlist/:id', canWrite, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const hotlist = await Hotlist.findById(req.params.id);
+    if (!hotlist) {
+      return res.status(404).json({ message: 'Hotlist not found' });
+    }
+
+    await hotlist.archive(req.user);
+    res.json({ message: 'Hotlist archived' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hotlist/{id}/candidates:
+ *   post:
+ *     summary: Add one or more candidates to a hotlist
+ *     description: Candidates already on the hotlist are skipped. Unknown candidate IDs reject the whole request.
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The hotlist id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HotlistCandidateIds'
+ *     responses:
+ *       200:
+ *         description: The updated hotlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hotlist'
+ *       400:
+ *         description: No candidate IDs given, or some are unknown
+ *       404:
+ *         description: Hotlist not found
+ *   delete:
+ *     summary: Remove one or more candidates from a hotlist
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The hotlist id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HotlistCandidateIds'
+ *     responses:
+ *       200:
+ *         description: The updated hotlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hotlist'
+ *       400:
+ *         description: No candidate IDs given
+ *       404:
+ *         description: Hotlist not found
+ */
+router.post('/hotlist/:id/candidates', canWrite, validate(schemas.membership), async (req, res) => {
+  try {
+    const candidateIds = getCandidateIds(req.body);
+
+    const hotlist = await Hotlist.findById(req.params.id);
+    if (!hotlist) {
+      return res.status(404).json({ message: 'Hotlist not found' });
+    }
+
+    const existing = await Candidate.find({ _id: { $in: candidateIds } }).select('_id').lean();
+    const existingIds = new Set(existing.map(candidate => candidate._id.toString()));
+    const unknownIds = candidateIds.filter(id => !existingIds.has(id));
+
+    if (unknownIds.length > 0) {
+      return sendValidationError(res, unknownIds.map(id => ({
+        location: 'body',
+        field: req.body.candidateIds ? 'candidateIds' : 'candidateId',
+        message: `Candidate ${id} not found`
+      })));
+    }
+
+    const currentIds = new Set(hotlist.candidates.map(id => id.toString()));
+    candidateIds.forEach(id => {
+      if (!currentIds.has(id)) {
+        hotlist.candidates.push(id);
+        currentIds.add(id);
+      }
+    });
+
+    await setActor(hotlist, req.user).save();
+    res.json(await findPopulatedHotlist(hotlist._id));
+  } catch (err) {
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
   }
 });
 
+router.delete('/hotlist/:id/candidates', canWrite, validate(schemas.membership), async (req, res) => {
+  try {
+    const candidateIds = getCandidateIds(req.body);
 
+    const hotlist = await Hotlist.findById(req.params.id);
+    if (!hotlist) {
+      return res.status(404).json({ message: 'Hotlist not found' });
+    }
+
+    const removeIds = new Set(candidateIds);
+    hotlist.candidates = hotlist.candidates.filter(id => !removeIds.has(id.toString()));
+
+    await setActor(hotlist, req.user).save();
+    res.json(await findPopulatedHotlist(hotlist._id));
+  } catch (err) {
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/hotlist/{id}/candidates/order:
+ *   put:
+ *     summary: Reorder the candidates on a hotlist
+ *     description: |
+ *       candidateIds must contain exactly the candidates currently on the hotlist, in the new order.
+ *       Archived candidates are left out of the hotlist and keep their positions.
+ *     tags: [Hotlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The hotlist id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidateIds
+ *             properties:
+ *               candidateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The reordered hotlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hotlist'
+ *       400:
+ *         description: candidateIds does not match the hotlist's candidates
+ *       404:
+ *         description: Hotlist not found
+ */
+router.put('/hotlist/:id/candidates/order', canWrite, validate(schemas.reorder), async (req, res) => {
+  try {
+    const { candidateIds } = req.body;
+
+    const hotlist = await Hotlist.findById(req.params.id);
+    if (!hotlist) {
+      return res.status(404).json({ message: 'Hotlist not found' });
+    }
+
+    // Archived candidates are hidden from clients, so only the visible members are reordered
+    const visibleIds = new Set((await Candidate.find({ _id: { $in: hotlist.candidates } }).distinct('_id')).map(String));
+    const currentIds = hotlist.candidates.map(id => id.toString()).filter(id => visibleIds.has(id)).sort();
+    const sameMembers = candidateIds.length === currentIds.length &&
+      [...candidateIds].sort().every((id, index) => id === currentIds[index]);
+
+    if (!sameMembers) {
+      return sendValidationError(res, [{
+        location: 'body',
+        field: 'candidateIds',
+        message: 'candidateIds must contain exactly the candidates on the hotlist'
+      }]);
+    }
+
+    // Visible members take the new order; archived ones keep their positions
+    const reordered = [...candidateIds];
+    hotlist.candidates = hotlist.candidates.map(id => (visibleIds.has(id.toString()) ? reordered.shift() : id));
+
+    await setActor(hotlist, req.user).save();
+    res.json(await findPopulatedHotlist(hotlist._id));
+  } catch (err) {
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
 
 module.exports = router; 
\ No newline at end of file
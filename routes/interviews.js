@@ -0,0 +1,691 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const Interview = require('../models/Interview');
+const Candidate = require('../models/Candidate');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { feedPastDays, feedMaxEvents } = require('../config/calendar');
+const { buildCalendar } = require('../utils/ical');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const { canRead, canWrite, staffOnly } = require('../middleware/auth');
+const { validate, sendValidationError, handleModelError } = require('../middleware/validate');
+const schemas = require('../validators/interviews');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields PATCH /interviews/:id can change
+const UPDATABLE_FIELDS = ['interviewers', 'round', 'startsAt', 'endsAt', 'timeZone', 'location', 'meetingUrl', 'notes', 'status'];
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Candidate, job and interviewers as the API and the calendar files show them
+const populateInterview = (query) => query
+  .populate('candidate', 'name email')
+  .populate('job', 'title company')
+  .populate('interviewers', 'name email');
+
+const sendError = (res, action, err) => {
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+};
+
+const interviewNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Interview not found'
+});
+
+// Validation errors for a candidate, job or interviewers that don't exist
+const findMissingReferences = async ({ candidate, job, interviewers }) => {
+  const errors = [];
+
+  if (candidate && !(await Candidate.exists({ _id: candidate }))) {
+    errors.push({ location: 'body', field: 'candidate', message: 'Candidate not found' });
+  }
+  if (job && !(await Job.exists({ _id: job }))) {
+    errors.push({ location: 'body', field: 'job', message: 'Job not found' });
+  }
+  if (interviewers) {
+    const found = new Set((await User.find({ _id: { $in: interviewers }, active: true }).distinct('_id')).map(String));
+    interviewers
+      .filter(id => !found.has(id))
+      .forEach(id => errors.push({ location: 'body', field: 'interviewers', message: `Interviewer ${id} not found` }));
+  }
+
+  return errors;
+};
+
+// Save unless the slot overlaps another interview; responds and resolves to false on a conflict
+const saveWithoutConflicts = async (interview, ignoreConflicts, res) => {
+  if (interview.status === 'scheduled' && !ignoreConflicts) {
+    const conflicts = await Interview.findConflicts(interview);
+    if (conflicts.length > 0) {
+      res.status(409).json({
+        success: false,
+        message: 'The slot overlaps other interviews of the candidate or an interviewer',
+        conflicts
+      });
+      return false;
+    }
+  }
+
+  await interview.save();
+  return true;
+};
+
+const sendCalendar = (res, interviews, { filename, name, disposition = 'attachment' }) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(buildCalendar(interviews, { name }));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Interview:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         candidate:
+ *           type: object
+ *           description: The candidate's id, name and email
+ *         job:
+ *           type: object
+ *           description: The job's id, title and company
+ *         interviewers:
+ *           type: array
+ *           items:
+ *             type: object
+ *             description: A user's id, name and email
+ *         round:
+ *           type: string
+ *           enum: [screening, technical, managerial, hr, client, final]
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         timeZone:
+ *           type: string
+ *           description: IANA time zone the slot was agreed in, e.g. America/Chicago
+ *         location:
+ *           type: string
+ *         meetingUrl:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [scheduled, completed, cancelled, no_show]
+ *         feedback:
+ *           type: object
+ *           properties:
+ *             outcome:
+ *               type: string
+ *               enum: [passed, failed, on_hold]
+ *             rating:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 5
+ *             notes:
+ *               type: string
+ *             submittedBy:
+ *               type: string
+ *             submittedAt:
+ *               type: string
+ *               format: date-time
+ *         sequence:
+ *           type: integer
+ *           description: Revision number used by calendar files
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     InterviewConflict:
+ *       type: object
+ *       properties:
+ *         interview:
+ *           type: object
+ *           description: The overlapping interview
+ *         conflictsWith:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [candidate, interviewer]
+ *               id:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/interviews/calendar-feed:
+ *   post:
+ *     summary: Create or replace your interview calendar feed URL
+ *     description: |
+ *       The URL can be subscribed to from Outlook, Google Calendar or Apple Calendar and lists the
+ *       interviews you are an interviewer on. Calling this again replaces the URL; the old one stops working.
+ *     tags: [Interviews]
+ *     responses:
+ *       201:
+ *         description: The feed URL
+ *   delete:
+ *     summary: Turn off your interview calendar feed
+ *     tags: [Interviews]
+ *     responses:
+ *       200:
+ *         description: Feed turned off
+ */
+router.post('/interviews/calendar-feed', canRead, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: req.user.id }, { calendarFeedTokenHash: hashFeedToken(token) });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        url: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`
+      }
+    });
+  } catch (err) {
+    sendError(res, 'creating calendar feed', err);
+  }
+});
+
+router.delete('/interviews/calendar-feed', canRead, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { calendarFeedTokenHash: null });
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off'
+    });
+  } catch (err) {
+    sendError(res, 'turning off calendar feed', err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/calendar/{token}.ics:
+ *   get:
+ *     summary: Interview calendar feed of one user
+ *     description: Interviews from the last 30 days onwards where the user is an interviewer, cancelled ones included so calendars remove them.
+ *     tags: [Interviews]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from POST /api/interviews/calendar-feed
+ *     responses:
+ *       200:
+ *         description: An iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: The feed URL is invalid or was replaced or turned off
+ */
+router.get('/calendar/:token.ics', validate(schemas.calendarFeed), async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedTokenHash: hashFeedToken(req.params.token), active: true })
+      .select('name')
+      .lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'This calendar feed is invalid or has been turned off'
+      });
+    }
+
+    const interviews = await populateInterview(Interview.find({
+      interviewers: user._id,
+      startsAt: { $gte: new Date(Date.now() - feedPastDays * DAY_MS) }
+    }))
+      .sort({ startsAt: 1 })
+      .limit(feedMaxEvents)
+      .lean();
+
+    sendCalendar(res, interviews, { filename: 'interviews.ics', name: `Interviews - ${user.name}`, disposition: 'inline' });
+  } catch (err) {
+    sendError(res, 'building calendar feed', err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/interviews:
+ *   get:
+ *     summary: Interviews, earliest first
+ *     tags: [Interviews]
+ *     parameters:
+ *       - in: query
+ *         name: candidate
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: interviewer
+ *         schema:
+ *           type: string
+ *         description: User id of an interviewer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, completed, cancelled, no_show]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Interviews starting at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Interviews starting at or before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of interviews
+ *   post:
+ *     summary: Schedule an interview
+ *     description: |
+ *       startsAt and endsAt need a UTC offset. The request is rejected with 409 if the slot overlaps
+ *       a scheduled interview of the candidate or of any interviewer, unless ignoreConflicts is set.
+ *     tags: [Interviews]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidate
+ *               - job
+ *               - interviewers
+ *               - round
+ *               - startsAt
+ *               - endsAt
+ *               - timeZone
+ *             properties:
+ *               candidate:
+ *                 type: string
+ *               job:
+ *                 type: string
+ *               interviewers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: User ids
+ *               round:
+ *                 type: string
+ *                 enum: [screening, technical, managerial, hr, client, final]
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               timeZone:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               meetingUrl:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               ignoreConflicts:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: The scheduled interview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Interview'
+ *       400:
+ *         description: Invalid input, or an unknown candidate, job or interviewer
+ *       409:
+ *         description: The slot overlaps other interviews; `conflicts` lists them
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 conflicts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InterviewConflict'
+ */
+router.get('/interviews', staffOnly, validate(schemas.list), async (req, res) => {
+  try {
+    const { candidate, job, interviewer, status, from, to } = req.query;
+    const pagination = parsePagination(req.query, 20);
+
+    const query = {};
+    if (candidate) query.candidate = candidate;
+    if (job) query.job = job;
+    if (interviewer) query.interviewers = interviewer;
+    if (status) query.status = status;
+    if (from || to) {
+      query.startsAt = {};
+      if (from) query.startsAt.$gte = from;
+      if (to) query.startsAt.$lte = to;
+    }
+
+    const [interviews, total] = await Promise.all([
+      populateInterview(Interview.find(query))
+        .sort({ startsAt: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .select('-__v')
+        .lean(),
+      Interview.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        interviews,
+        pagination: buildPagination(total, pagination)
+      }
+    });
+  } catch (err) {
+    sendError(res, 'fetching interviews', err);
+  }
+});
+
+router.post('/interviews', canWrite, validate(schemas.create), async (req, res) => {
+  try {
+    const { ignoreConflicts, ...fields } = req.body;
+
+    const errors = await findMissingReferences(fields);
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    const interview = new Interview({ ...fields, createdBy: req.user.id });
+    if (!(await saveWithoutConflicts(interview, ignoreConflicts, res))) return;
+
+    res.status(201).json({
+      success: true,
+      data: await populateInterview(Interview.findById(interview._id))
+    });
+  } catch (err) {
+    if (!handleModelError(res, err)) sendError(res, 'scheduling interview', err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/interviews/{id}:
+ *   get:
+ *     summary: Get an interview
+ *     tags: [Interviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The interview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Interview'
+ *       404:
+ *         description: Interview not found
+ *   patch:
+ *     summary: Reschedule or update an interview
+ *     description: |
+ *       Set status to cancelled to cancel it; subscribed calendars then drop it. Changes that leave the
+ *       interview scheduled are checked for conflicts as when scheduling.
+ *     tags: [Interviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               interviewers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               round:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               timeZone:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               meetingUrl:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [scheduled, cancelled, no_show]
+ *               ignoreConflicts:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated interview
+ *       400:
+ *         description: Invalid input or unknown interviewer
+ *       404:
+ *         description: Interview not found
+ *       409:
+ *         description: The slot overlaps other interviews; `conflicts` lists them
+ *   delete:
+ *     summary: Delete an interview
+ *     description: To keep a record of it, cancel it instead.
+ *     tags: [Interviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interview deleted
+ *       404:
+ *         description: Interview not found
+ */
+router.get('/interviews/:id', staffOnly, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const interview = await populateInterview(Interview.findById(req.params.id)).select('-__v');
+    if (!interview) return interviewNotFound(res);
+
+    res.json({
+      success: true,
+      data: interview
+    });
+  } catch (err) {
+    sendError(res, 'fetching interview', err);
+  }
+});
+
+router.patch('/interviews/:id', canWrite, validate(schemas.update), async (req, res) => {
+  try {
+    const interview = await Interview.findById(req.params.id);
+    if (!interview) return interviewNotFound(res);
+
+    const errors = await findMissingReferences({ interviewers: req.body.interviewers });
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) interview[field] = req.body[field];
+    });
+
+    if (!(await saveWithoutConflicts(interview, req.body.ignoreConflicts, res))) return;
+
+    res.json({
+      success: true,
+      data: await populateInterview(Interview.findById(interview._id))
+    });
+  } catch (err) {
+    if (!handleModelError(res, err)) sendError(res, 'updating interview', err);
+  }
+});
+
+router.delete('/interviews/:id', canWrite, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const interview = await Interview.findByIdAndDelete(req.params.id);
+    if (!interview) return interviewNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Interview deleted'
+    });
+  } catch (err) {
+    sendError(res, 'deleting interview', err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/interviews/{id}/feedback:
+ *   put:
+ *     summary: Record or replace the outcome of an interview
+ *     description: Marks the interview completed. Only possible once it has started and if it wasn't cancelled.
+ *     tags: [Interviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [passed, failed, on_hold]
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The interview with its feedback
+ *       404:
+ *         description: Interview not found
+ *       409:
+ *         description: The interview was cancelled or hasn't started yet
+ */
+router.put('/interviews/:id/feedback', canWrite, validate(schemas.feedback), async (req, res) => {
+  try {
+    const interview = await Interview.findById(req.params.id);
+    if (!interview) return interviewNotFound(res);
+
+    if (interview.status === 'cancelled' || interview.startsAt > new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: interview.status === 'cancelled' ?
+          'Feedback cannot be recorded for a cancelled interview' :
+          'Feedback can only be recorded once the interview has started'
+      });
+    }
+
+    interview.feedback = { ...req.body, submittedBy: req.user.id, submittedAt: new Date() };
+    interview.status = 'completed';
+    await interview.save();
+
+    res.json({
+      success: true,
+      data: await populateInterview(Interview.findById(interview._id))
+    });
+  } catch (err) {
+    if (!handleModelError(res, err)) sendError(res, 'recording interview feedback', err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/interviews/{id}/ics:
+ *   get:
+ *     summary: Download an interview as an .ics calendar file
+ *     tags: [Interviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: An iCalendar file with the interview; times are in UTC
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Interview not found
+ */
+router.get('/interviews/:id/ics', staffOnly, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const interview = await populateInterview(Interview.findById(req.params.id)).lean();
+    if (!interview) return interviewNotFound(res);
+
+    sendCalendar(res, [interview], { filename: `interview-${interview._id}.ics` });
+  } catch (err) {
+    sendError(res, 'exporting interview', err);
+  }
+});
+
+module.exports = router;
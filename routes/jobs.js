@@ -1,6 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const Job = require('../models/Job');
+const Candidate = require('../models/Candidate');
+const Application = require('../models/Application');
+const { scoreMatch, rankMatches } = require('../utils/matching');
+const { buildJobQuery } = require('../utils/listQueries');
+const { parsePagination, buildPagination, parseSort } = require('../utils/pagination');
+const { emitEvent } = require('../utils/webhooks');
+const { recordJobView } = require('../utils/jobViews');
+const { publishedJobFilter, isPublished, jobUrl, toJobPosting, toJobBoardXml, toRss } = require('../utils/jobSyndication');
+const { feedMaxJobs, feedCacheSeconds } = require('../config/syndication');
+const { canRead, canWrite, optionalAuthenticate, isStaff } = require('../middleware/auth');
+const { setActor } = require('../models/plugins/audit');
+const { validate, sendValidationError, handleModelError } = require('../middleware/validate');
+const schemas = require('../validators/jobs');
+
+// Drafts, closed jobs and status history are internal; anyone but staff only sees active jobs
+const PUBLIC_FIELDS = '-__v -statusHistory';
+
+// Fields GET /jobs can sort on; `salary` sorts by the top of the normalized annual range
+const SORT_FIELDS = ['postedDate', 'applicationDeadline', 'title', 'views', 'applications', 'salary'];
+const SORT_PATHS = { salary: 'salary.normalized.max' };
 
 /**
  * @swagger
@@ -18,8 +38,14 @@ const Job = require('../models/Job');
  *           type: string
  *           description: Job title
  *         company:
- *           type: string
- *           description: Company name
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             website:
+ *               type: string
+ *             logo:
+ *               type: string
  *         location:
  *           type: string
  *           description: Job location
@@ -39,6 +65,19 @@ const Job = require('../models/Job');
  *               type: number
  *             currency:
  *               type: string
+ *             period:
+ *               type: string
+ *               enum: [yearly, monthly, weekly, hourly]
+ *             normalized:
+ *               type: object
+ *               description: Annual range in the base currency, calculated on save
+ *               properties:
+ *                 min:
+ *                   type: number
+ *                 max:
+ *                   type: number
+ *                 currency:
+ *                   type: string
  *         type:
  *           type: string
  *           enum: [Full-time, Part-time, Contract, Freelance]
@@ -49,6 +88,36 @@ const Job = require('../models/Job');
  *         status:
  *           type: string
  *           enum: [active, closed, draft]
+ *         views:
+ *           type: number
+ *           description: Views of the job's details, with repeat views by the same visitor counted once
+ *         applications:
+ *           type: number
+ *           description: Number of applications, derived from Application records
+ *         applicationDeadline:
+ *           type: string
+ *           format: date-time
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         statusHistory:
+ *           type: array
+ *           description: Every status change with its reason
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
  */
 
 /**
@@ -56,13 +125,19 @@ const Job = require('../models/Job');
  * /api/jobs:
  *   get:
  *     summary: Returns all jobs
+ *     description: |
+ *       Public. Without an admin or recruiter token only active jobs are listed, the status filter
+ *       is ignored and statusHistory is left out.
  *     tags: [Jobs]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *         description: Filter by job status
+ *         description: Filter by job status (admins and recruiters only)
  *       - in: query
  *         name: jobType
  *         schema:
@@ -83,63 +158,86 @@ const Job = require('../models/Job');
  *         schema:
  *           type: boolean
  *         description: Filter by remote status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search over title, company, technology, skills, location and description; results are sorted by relevance unless `sort` is given. Supports "exact phrases", prefixes (jav*) and literal terms such as C++
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Partial, case-insensitive location match
+ *       - in: query
+ *         name: requiredSkills
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skills; jobs requiring any of them match
+ *       - in: query
+ *         name: salaryMin
+ *         schema:
+ *           type: number
+ *         description: Annual pay in the base currency (SALARY_BASE_CURRENCY); matches jobs whose range reaches at least this much
+ *       - in: query
+ *         name: salaryMax
+ *         schema:
+ *           type: number
+ *         description: Annual pay in the base currency; matches jobs whose range starts at or below this
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma-separated fields (postedDate, applicationDeadline, title, views, applications, salary); prefix with - for descending. Defaults to -postedDate
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Job'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
  */
-router.get('/jobs', async (req, res) => {
+router.get('/jobs', optionalAuthenticate, validate(schemas.list), async (req, res) => {
   try {
-    const { 
-      status, 
-      jobType, 
-      experienceLevel, 
-      primaryTechnology, 
-      remote,
-      requiredSkills,
-      location,
-      search,
-      page = 1,
-      limit = 10
-    } = req.query;
-    
-    // Build query object
-    const query = {};
-
-    // Add filters only if they are provided
-    if (status) query.status = status;
-    if (jobType) query.jobType = jobType;
-    if (experienceLevel) query.experienceLevel = experienceLevel;
-    if (primaryTechnology) query.primaryTechnology = primaryTechnology;
-    if (remote !== undefined) query.remote = remote === 'true';
-    
-    // Case-insensitive location search with partial matching
-    if (location) {
-      query.location = { $regex: location, $options: 'i' };
-    }
-
-    // Search in title, description, and company name
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { 'company.name': { $regex: search, $options: 'i' } }
-      ];
-    }
+    const pagination = parsePagination(req.query);
+    const staff = isStaff(req);
 
-    // Skills filter with case-insensitive matching
-    if (requiredSkills) {
-      const skillsArray = requiredSkills.split(',').map(skill => skill.trim());
-      query.requiredSkills = { 
-        $in: skillsArray.map(skill => new RegExp(skill, 'i'))
-      };
-    }
+    // Build query object
+    const query = buildJobQuery(req.query);
+    if (!staff) query.status = 'active';
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // Text searches default to the most relevant jobs first
+    const defaultSort = query.$text ? { score: { $meta: 'textScore' }, postedDate: -1 } : { postedDate: -1 };
+    const sort = {};
+    Object.entries(parseSort(req.query.sort, SORT_FIELDS, defaultSort)).forEach(([field, direction]) => {
+      sort[SORT_PATHS[field] || field] = direction;
+    });
 
     // Execute query with pagination
     const jobs = await Job.find(query)
-      .sort({ postedDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-__v')
+      .sort(sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .select(staff ? '-__v' : PUBLIC_FIELDS)
       .lean(); // Convert to plain JavaScript objects
 
     // Get total count for pagination
@@ -148,7 +246,8 @@ router.get('/jobs', async (req, res) => {
     // Add debug information in development
     const debug = process.env.NODE_ENV === 'development' ? {
       query,
-      pagination: { page, limit, skip, total }
+      sort,
+      pagination: { ...pagination, total }
     } : null;
 
     // Send response
@@ -156,12 +255,7 @@ router.get('/jobs', async (req, res) => {
       success: true,
       data: {
         jobs,
-        pagination: {
-          total,
-          page: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          limit: parseInt(limit)
-        }
+        pagination: buildPagination(total, pagination)
       },
       debug
     });
@@ -176,12 +270,102 @@ router.get('/jobs', async (req, res) => {
   }
 });
 
+// Base URL of this API as the client reached it
+const apiBase = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Jobs that may be published, newest first, for the syndication feeds
+const findFeedJobs = () => Job.find(publishedJobFilter())
+  .sort({ publishedAt: -1, postedDate: -1 })
+  .limit(feedMaxJobs)
+  .select('-__v -statusHistory')
+  .lean();
+
+const sendFeed = (res, contentType, body) => {
+  res.set({
+    'Content-Type': `${contentType}; charset=utf-8`,
+    'Cache-Control': `public, max-age=${feedCacheSeconds}`
+  });
+  res.send(body);
+};
+
+/**
+ * @swagger
+ * /api/jobs/feed.xml:
+ *   get:
+ *     summary: Job-board XML feed of open jobs
+ *     description: |
+ *       Active jobs whose application deadline hasn't passed, newest first, in the
+ *       `<source><job>` layout read by Indeed, ZipRecruiter and most job aggregators.
+ *     tags: [Jobs]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The feed
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+router.get('/jobs/feed.xml', async (req, res) => {
+  try {
+    const jobs = await findFeedJobs();
+    sendFeed(res, 'application/xml', toJobBoardXml(jobs, { urlFor: job => jobUrl(job, apiBase(req)) }));
+  } catch (err) {
+    console.error('Error building job feed:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error building job feed',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/feed.rss:
+ *   get:
+ *     summary: RSS 2.0 feed of open jobs
+ *     description: Active jobs whose application deadline hasn't passed, newest first.
+ *     tags: [Jobs]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The feed
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ */
+router.get('/jobs/feed.rss', async (req, res) => {
+  try {
+    const jobs = await findFeedJobs();
+    sendFeed(res, 'application/rss+xml', toRss(jobs, {
+      feedUrl: `${apiBase(req)}/api/jobs/feed.rss`,
+      urlFor: job => jobUrl(job, apiBase(req))
+    }));
+  } catch (err) {
+    console.error('Error building job feed:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error building job feed',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/jobs/{id}:
  *   get:
  *     summary: Get job details by ID
+ *     description: |
+ *       Counts as a view of the job unless the same visitor (account, or IP address and browser)
+ *       already viewed it in the current JOB_VIEW_DEDUPE_MINUTES window (default 30). Crawlers aren't counted.
+ *       Public. Without an admin or recruiter token, drafts and closed jobs are not found and statusHistory is left out.
  *     tags: [Jobs]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -198,24 +382,26 @@ router.get('/jobs', async (req, res) => {
  *       404:
  *         description: Job not found
  */
-router.get('/jobs/:id', async (req, res) => {
+router.get('/jobs/:id', optionalAuthenticate, validate({ params: schemas.idParams }), async (req, res) => {
   try {
-    const job = await Job.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { views: 1 } },
-      { 
-        new: true,
-        runValidators: true
-      }
-    ).select('-__v').lean();
+    const staff = isStaff(req);
+    const job = await Job.findById(req.params.id).select(staff ? '-__v' : PUBLIC_FIELDS).lean();
 
-    if (!job) {
+    if (!job || (!staff && job.status !== 'active')) {
       return res.status(404).json({
         success: false,
         message: 'Job not found'
       });
     }
 
+    // A failure to record the view shouldn't stop the job from being shown
+    try {
+      const { counted } = await recordJobView(job._id, req);
+      if (counted) job.views++;
+    } catch (err) {
+      console.error(`Error recording view of job ${job._id}:`, err.message);
+    }
+
     res.json({
       success: true,
       data: job
@@ -223,18 +409,130 @@ router.get('/jobs/:id', async (req, res) => {
 
   } catch (err) {
     console.error('Error fetching job:', err);
-    
-    // Handle invalid ID format
-    if (err.name === 'CastError') {
-      return res.status(400).json({
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job details',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/jsonld:
+ *   get:
+ *     summary: schema.org JobPosting for a job
+ *     description: |
+ *       JSON-LD to embed in the job's page in a `<script type="application/ld+json">` tag, so search
+ *       engines list it as a job. Only active jobs whose application deadline hasn't passed have one.
+ *     tags: [Jobs]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The JobPosting
+ *         content:
+ *           application/ld+json:
+ *             schema:
+ *               type: object
+ *       404:
+ *         description: Job not found, not active or past its deadline
+ */
+router.get('/jobs/:id/jsonld', validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('-__v -statusHistory').lean();
+
+    if (!job || !isPublished(job)) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid job ID format'
+        message: 'Job not found'
       });
     }
 
+    res.set({
+      'Content-Type': 'application/ld+json; charset=utf-8',
+      'Cache-Control': `public, max-age=${feedCacheSeconds}`
+    });
+    // Escape '<' so the JSON can't close the <script> tag it is pasted into
+    res.send(JSON.stringify(toJobPosting(job, { url: jobUrl(job, apiBase(req)) })).replace(/</g, '\\u003c'));
+  } catch (err) {
+    console.error('Error building job posting:', err);
     res.status(500).json({
       success: false,
-      message: 'Error fetching job details',
+      message: 'Error building job posting',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/matches:
+ *   get:
+ *     summary: Rank candidates by how well they match a job
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Candidate statuses to consider, comma-separated (default active,pending)
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *         description: Drop matches scoring below this (0-100)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of matches (default 20)
+ *     responses:
+ *       200:
+ *         description: Candidates with score and skill, experience and technology breakdown
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:id/matches', canRead, validate(schemas.matches), async (req, res) => {
+  try {
+    const { status = 'active,pending', minScore = 0, limit = 20 } = req.query;
+
+    const job = await Job.findById(req.params.id).select('-__v').lean();
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const candidates = await Candidate.find({ status: { $in: status.split(',').map(s => s.trim()) } })
+      .select('name email technology skills yearsOfExp status')
+      .lean();
+
+    const matches = rankMatches(candidates, candidate => scoreMatch(candidate, job), {
+      limit: parseInt(limit),
+      minScore: Number(minScore)
+    });
+
+    res.json({
+      success: true,
+      data: matches.map(({ item, score, breakdown }) => ({ candidate: item, score, breakdown }))
+    });
+  } catch (err) {
+    console.error('Error matching candidates:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error matching candidates',
       error: process.env.NODE_ENV === 'development' ? err.message : undefined
     });
   }
@@ -259,8 +557,14 @@ router.get('/jobs/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-router.post('/jobs', async (req, res) => {
+router.post('/jobs', canWrite, validate(schemas.create), async (req, res) => {
   try {
     const {
       title,
@@ -284,42 +588,285 @@ router.post('/jobs', async (req, res) => {
       title,
       company,
       description,
-      requirements: Array.isArray(requirements) ? requirements : requirements.split(',').map(req => req.trim()),
-      responsibilities: Array.isArray(responsibilities) ? responsibilities : responsibilities.split(',').map(resp => resp.trim()),
+      requirements,
+      responsibilities,
       jobType,
       experienceLevel,
       location,
       remote,
       salary,
       primaryTechnology,
-      requiredSkills: Array.isArray(requiredSkills) ? requiredSkills : requiredSkills.split(',').map(skill => skill.trim()),
-      benefits: Array.isArray(benefits) ? benefits : benefits.split(',').map(benefit => benefit.trim()),
+      requiredSkills,
+      benefits,
       status,
-      applicationDeadline: new Date(applicationDeadline)
+      applicationDeadline
     });
 
-    const newJob = await job.save();
+    const newJob = await setActor(job, req.user).save();
     res.status(201).json(newJob);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
+
+// Shared handler for the lifecycle endpoints below
+const changeStatus = (status, getReason) => async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (req.body.applicationDeadline) {
+      job.applicationDeadline = req.body.applicationDeadline;
+    }
+
+    job.transitionTo(status, getReason(req));
+    const updatedJob = await setActor(job, req.user).save();
+
+    res.json({
+      success: true,
+      data: updatedJob
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_TRANSITION') {
+      return res.status(409).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    console.error('Error changing job status:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing job status',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/jobs/{id}/publish:
+ *   post:
+ *     summary: Publish a draft job, or reopen a closed one
+ *     description: The application deadline must be in the future; pass a new one to extend it.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               applicationDeadline:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: The published job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already active, or its deadline has passed
+ */
+router.post('/jobs/:id/publish', canWrite, validate(schemas.publish), changeStatus('active', req => (
+  req.body.applicationDeadline ? 'Published with new application deadline' : 'Published'
+)));
+
+/**
+ * @swagger
+ * /api/jobs/{id}/close:
+ *   post:
+ *     summary: Close a job to new applications
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The closed job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already closed
+ */
+router.post('/jobs/:id/close', canWrite, validate(schemas.close), changeStatus('closed', req => req.body.reason || 'Closed manually'));
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   delete:
+ *     summary: Archive a job
+ *     description: >
+ *       The job is hidden from listings, search and matching but keeps its applications
+ *       until restored or purged (see /api/archive/jobs).
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job archived
+ *       404:
+ *         description: Job not found
+ */
+router.delete('/jobs/:id', canWrite, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    await job.archive(req.user);
+
+    res.json({
+      success: true,
+      message: 'Job archived'
+    });
+  } catch (err) {
+    console.error('Error archiving job:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving job',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
   }
 });
 
-// Increment applications count
-router.post('/jobs/:id/apply', async (req, res) => {
+/**
+ * @swagger
+ * /api/jobs/{id}/apply:
+ *   post:
+ *     summary: Apply a candidate to a job
+ *     tags: [Jobs, Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidateId
+ *             properties:
+ *               candidateId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Application created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Missing or invalid candidate
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Candidate has already applied, or the job is not active or past its deadline
+ */
+router.post('/jobs/:id/apply', canWrite, validate(schemas.apply), async (req, res) => {
   try {
-    const job = await Job.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { applications: 1 } },
-      { new: true }
-    ).select('-__v');
+    const { candidateId } = req.body;
 
+    const job = await Job.findById(req.params.id).select('_id status applicationDeadline').lean();
     if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'active' || job.applicationDeadline < new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is not accepting applications'
+      });
+    }
+
+    const candidate = await Candidate.findById(candidateId).select('_id').lean();
+    if (!candidate) {
+      return sendValidationError(res, [{ location: 'body', field: 'candidateId', message: 'Candidate not found' }]);
     }
-    res.json(job);
+
+    const existing = await Application.exists({ job: job._id, candidate: candidate._id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Candidate has already applied to this job'
+      });
+    }
+
+    const application = await new Application({
+      job: job._id,
+      candidate: candidate._id
+    }).save();
+
+    const applications = await Application.syncJobCount(job._id);
+
+    // Sent in the background; a slow receiver doesn't delay the response
+    emitEvent('job.applied', { application: application.toJSON(), applications });
+
+    res.status(201).json({
+      success: true,
+      data: application
+    });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    // Lost a race with a concurrent apply; the unique index caught it
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Candidate has already applied to this job'
+      });
+    }
+
+    console.error('Error applying to job:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying to job',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
   }
 });
 
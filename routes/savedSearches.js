@@ -0,0 +1,360 @@
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const Alert = require('../models/Alert');
+const { canRead } = require('../middleware/auth');
+const { validate, sendValidationError, handleModelError } = require('../middleware/validate');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const schemas = require('../validators/savedSearches');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       required:
+ *         - name
+ *         - entityType
+ *       properties:
+ *         name:
+ *           type: string
+ *         entityType:
+ *           type: string
+ *           enum: [job, candidate]
+ *         params:
+ *           type: object
+ *           description: For jobs, the GET /api/jobs query parameters; for candidates, the GET /api/candidates filters plus q and scope from /api/candidates/search
+ *         alertsEnabled:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date
+ *     Alert:
+ *       type: object
+ *       properties:
+ *         savedSearch:
+ *           type: string
+ *         entityType:
+ *           type: string
+ *           enum: [job, candidate]
+ *         entityId:
+ *           type: string
+ *         title:
+ *           type: string
+ *         read:
+ *           type: boolean
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Saved search not found'
+});
+
+const handleError = (res, err, message) => {
+  if (handleModelError(res, err)) return;
+
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+};
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: List the current user's saved searches
+ *     tags: [Saved Searches]
+ *     responses:
+ *       200:
+ *         description: Saved searches, newest first
+ *   post:
+ *     summary: Save a named job or candidate search
+ *     tags: [Saved Searches]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearch'
+ *     responses:
+ *       201:
+ *         description: The saved search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearch'
+ */
+router.get('/saved-searches', canRead, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('-__v')
+      .lean();
+
+    res.json({
+      success: true,
+      data: savedSearches
+    });
+  } catch (err) {
+    handleError(res, err, 'Error fetching saved searches');
+  }
+});
+
+router.post('/saved-searches', canRead, validate(schemas.create), async (req, res) => {
+  try {
+    const savedSearch = await new SavedSearch({
+      ...req.body,
+      user: req.user.id
+    }).save();
+
+    res.status(201).json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (err) {
+    handleError(res, err, 'Error saving search');
+  }
+});
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   patch:
+ *     summary: Rename a saved search, change its parameters or toggle alerts
+ *     tags: [Saved Searches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               params:
+ *                 type: object
+ *               alertsEnabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated saved search
+ *       404:
+ *         description: Saved search not found
+ *   delete:
+ *     summary: Delete a saved search and its alerts
+ *     tags: [Saved Searches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       404:
+ *         description: Saved search not found
+ */
+router.patch('/saved-searches/:id', canRead, validate(schemas.update), async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+    if (!savedSearch) return notFound(res);
+
+    const { name, params, alertsEnabled } = req.body;
+
+    if (params !== undefined) {
+      const { error, value } = schemas.paramsSchemas[savedSearch.entityType].validate(params, {
+        abortEarly: false,
+        stripUnknown: true,
+        errors: { wrap: { label: false } }
+      });
+      if (error) {
+        return sendValidationError(res, error.details.map(detail => ({
+          location: 'body',
+          field: ['params', ...detail.path].join('.'),
+          message: detail.message
+        })));
+      }
+      savedSearch.params = value;
+    }
+    if (name !== undefined) savedSearch.name = name;
+    if (alertsEnabled !== undefined) savedSearch.alertsEnabled = alertsEnabled;
+
+    const updatedSavedSearch = await savedSearch.save();
+    res.json({
+      success: true,
+      data: updatedSavedSearch
+    });
+  } catch (err) {
+    handleError(res, err, 'Error updating saved search');
+  }
+});
+
+router.delete('/saved-searches/:id', canRead, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!savedSearch) return notFound(res);
+
+    await Alert.deleteMany({ savedSearch: savedSearch._id });
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (err) {
+    handleError(res, err, 'Error deleting saved search');
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: The current user's alert feed of new saved-search matches
+ *     tags: [Saved Searches]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread (true) or read (false) alerts
+ *       - in: query
+ *         name: savedSearch
+ *         schema:
+ *           type: string
+ *         description: Only alerts from this saved search
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alerts, newest first, with the unread total
+ */
+router.get('/alerts', canRead, validate(schemas.alerts), async (req, res) => {
+  try {
+    const { unread, savedSearch } = req.query;
+    const pagination = parsePagination(req.query, 20);
+
+    const query = { user: req.user.id };
+    if (unread !== undefined) query.read = !unread;
+    if (savedSearch) query.savedSearch = savedSearch;
+
+    const [alerts, total, unreadCount] = await Promise.all([
+      Alert.find(query)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('savedSearch', 'name entityType')
+        .select('-__v')
+        .lean(),
+      Alert.countDocuments(query),
+      Alert.countDocuments({ user: req.user.id, read: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        unreadCount,
+        pagination: buildPagination(total, pagination)
+      }
+    });
+  } catch (err) {
+    handleError(res, err, 'Error fetching alerts');
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/{id}/read:
+ *   post:
+ *     summary: Mark one alert as read
+ *     tags: [Saved Searches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated alert
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       404:
+ *         description: Alert not found
+ */
+router.post('/alerts/:id/read', canRead, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { read: true, readAt: new Date() },
+      { new: true }
+    ).select('-__v').lean();
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (err) {
+    handleError(res, err, 'Error updating alert');
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/read-all:
+ *   post:
+ *     summary: Mark all of the current user's alerts as read
+ *     tags: [Saved Searches]
+ *     responses:
+ *       200:
+ *         description: Number of alerts marked as read
+ */
+router.post('/alerts/read-all', canRead, async (req, res) => {
+  try {
+    const result = await Alert.updateMany(
+      { user: req.user.id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (err) {
+    handleError(res, err, 'Error updating alerts');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const Candidate = require('../models/Candidate');
+const { canRead, isStaff } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const { candidateSearchFields } = require('../utils/listQueries');
+const { textSearch } = require('../utils/textSearch');
+const schemas = require('../validators/search');
+
+// How each type is searched and summarized in mixed results
+const SEARCH_TYPES = {
+  candidate: {
+    model: 'Candidate',
+    fields: candidateSearchFields('profile'),
+    project: { name: 1, email: 1, technology: 1, skills: 1, yearsOfExp: 1, status: 1, score: 1 },
+    summarize: (candidate) => ({ title: candidate.name, subtitle: candidate.technology })
+  },
+  job: {
+    model: 'Job',
+    // Only staff see drafts and closed jobs, as in GET /jobs; statusHistory is never projected
+    publicFilter: { status: 'active' },
+    project: { title: 1, company: 1, location: 1, jobType: 1, primaryTechnology: 1, status: 1, score: 1 },
+    summarize: (job) => ({ title: job.title, subtitle: [job.company && job.company.name, job.location].filter(Boolean).join(', ') })
+  },
+  hotlist: {
+    model: 'Hotlist',
+    // Archived candidates aren't counted, as in GET /hotlists?candidates=count
+    stages: [{
+      $lookup: {
+        from: Candidate.collection.name,
+        let: { ids: '$candidates' },
+        pipeline: [
+          { $match: { $expr: { $in: ['$_id', '$$ids'] }, deletedAt: null } },
+          { $project: { _id: 1 } }
+        ],
+        as: 'visibleCandidates'
+      }
+    }],
+    project: { name: 1, description: 1, candidateCount: { $size: '$visibleCandidates' }, score: 1 },
+    summarize: (hotlist) => ({ title: hotlist.name, subtitle: hotlist.description || '' })
+  }
+};
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search candidates, jobs and hotlists at once
+ *     description: |
+ *       Results of all requested types in one list, most relevant first. Each result has its
+ *       `type`, a `title` and `subtitle` for display, its relevance `score` and the matching
+ *       document in `item`. Query syntax is the same as /api/candidates/search; candidates are
+ *       searched on their profile fields. Clients only find active jobs.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *           default: candidate,job,hotlist
+ *         description: Comma-separated types to search
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: A page of mixed results, with the number of matches per type
+ */
+router.get('/search', canRead, validate(schemas.search), async (req, res) => {
+  try {
+    const { q, types = schemas.TYPES } = req.query;
+    const pagination = parsePagination(req.query);
+
+    // The page can come from any mix of types, so take enough of each to cover it
+    const depth = pagination.skip + pagination.limit;
+    const searches = await Promise.all(types.map(async type => {
+      const { model, fields, stages, project, publicFilter } = SEARCH_TYPES[type];
+      const filter = publicFilter && !isStaff(req) ? publicFilter : {};
+      const { results, total } = await textSearch(model, q, { fields, filter, limit: depth, stages, project });
+      return { type, results, total };
+    }));
+
+    const results = searches
+      .flatMap(({ type, results: items }) => items.map(({ score, ...item }) => ({
+        type,
+        id: item._id,
+        ...SEARCH_TYPES[type].summarize(item),
+        score,
+        item
+      })))
+      .sort((a, b) => b.score - a.score)
+      .slice(pagination.skip, depth);
+
+    const counts = Object.fromEntries(searches.map(({ type, total }) => [type, total]));
+    const total = searches.reduce((sum, search) => sum + search.total, 0);
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        counts,
+        pagination: buildPagination(total, pagination)
+      }
+    });
+  } catch (err) {
+    console.error('Error searching:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+module.exports = router;
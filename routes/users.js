@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { adminOnly } = require('../middleware/auth');
+const { validate, handleModelError } = require('../middleware/validate');
+const schemas = require('../validators/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [admin, recruiter, client]
+ *         active:
+ *           type: boolean
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Returns all users (admin only)
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: List of all users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *   post:
+ *     summary: Create a user (admin only)
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, recruiter, client]
+ *     responses:
+ *       201:
+ *         description: The created user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ */
+router.get('/users', adminOnly, async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: -1 });
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/users', adminOnly, validate(schemas.createUser), async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    const user = new User({ name, email, role });
+    await user.setPassword(password);
+
+    const newUser = await user.save();
+    res.status(201).json(newUser);
+  } catch (err) {
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   patch:
+ *     summary: Update a user's name, role, status or password (admin only)
+ *     description: Deactivating a user or changing their password revokes their refresh tokens.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, recruiter, client]
+ *               active:
+ *                 type: boolean
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ */
+router.patch('/users/:id', adminOnly, validate(schemas.updateUser), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { name, role, active, password } = req.body;
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = active;
+    if (password) await user.setPassword(password);
+
+    const updatedUser = await user.save();
+
+    if (active === false || password) {
+      await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    }
+
+    res.json(updatedUser);
+  } catch (err) {
+    if (!handleModelError(res, err)) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,354 @@
+const express = require('express');
+const router = express.Router();
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const { adminOnly } = require('../middleware/auth');
+const { validate, handleModelError } = require('../middleware/validate');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const { redeliver } = require('../utils/webhooks');
+const schemas = require('../validators/webhooks');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         url:
+ *           type: string
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           description: Event names, or '*' for all events
+ *           items:
+ *             type: string
+ *         active:
+ *           type: boolean
+ *         secret:
+ *           type: string
+ *           description: Only returned on create and rotate-secret. Each delivery carries X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, X-Webhook-Timestamp + "." + body)
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         subscription:
+ *           type: string
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         responseStatus:
+ *           type: integer
+ *         error:
+ *           type: string
+ */
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Webhook subscription not found'
+});
+
+const handleError = (res, err, message) => {
+  if (handleModelError(res, err)) return;
+
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+};
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions (admin only)
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Subscriptions and the list of available events
+ *   post:
+ *     summary: Subscribe a URL to webhook events (admin only)
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *     responses:
+ *       201:
+ *         description: The subscription, including its signing secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ */
+router.get('/webhooks', adminOnly, async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find()
+      .sort({ createdAt: -1 })
+      .select('-__v')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        events: WEBHOOK_EVENTS
+      }
+    });
+  } catch (err) {
+    handleError(res, err, 'Error fetching webhook subscriptions');
+  }
+});
+
+router.post('/webhooks', adminOnly, validate(schemas.create), async (req, res) => {
+  try {
+    const subscription = await new WebhookSubscription({
+      ...req.body,
+      createdBy: req.user.id
+    }).save();
+
+    // The secret is select: false; this is the one time it is shown
+    res.status(201).json({
+      success: true,
+      data: { ...subscription.toJSON(), secret: subscription.secret }
+    });
+  } catch (err) {
+    handleError(res, err, 'Error creating webhook subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   patch:
+ *     summary: Update a webhook subscription (admin only)
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *       404:
+ *         description: Subscription not found
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log (admin only)
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       404:
+ *         description: Subscription not found
+ */
+router.patch('/webhooks/:id', adminOnly, validate(schemas.update), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) return notFound(res);
+
+    subscription.set(req.body);
+    const updatedSubscription = await subscription.save();
+
+    res.json({
+      success: true,
+      data: updatedSubscription
+    });
+  } catch (err) {
+    handleError(res, err, 'Error updating webhook subscription');
+  }
+});
+
+router.delete('/webhooks/:id', adminOnly, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) return notFound(res);
+
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted'
+    });
+  } catch (err) {
+    handleError(res, err, 'Error deleting webhook subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace a subscription's signing secret (admin only)
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The subscription with its new secret
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/webhooks/:id/rotate-secret', adminOnly, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) return notFound(res);
+
+    const secret = subscription.rotateSecret();
+    await subscription.save();
+
+    res.json({
+      success: true,
+      data: { ...subscription.toJSON(), secret }
+    });
+  } catch (err) {
+    handleError(res, err, 'Error rotating webhook secret');
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook subscription (admin only)
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ */
+router.get('/webhooks/:id/deliveries', adminOnly, validate(schemas.deliveries), async (req, res) => {
+  try {
+    const { status, event } = req.query;
+    const pagination = parsePagination(req.query, 20);
+
+    const query = { subscription: req.params.id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .select('-__v')
+        .lean(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: buildPagination(total, pagination)
+      }
+    });
+  } catch (err) {
+    handleError(res, err, 'Error fetching webhook deliveries');
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send an earlier delivery again (admin only)
+ *     description: Creates a new delivery with the same event and payload and attempts it immediately.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new delivery after its first attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found
+ */
+router.post('/webhooks/deliveries/:deliveryId/redeliver', adminOnly, validate(schemas.redeliver), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    const newDelivery = await redeliver(delivery);
+
+    res.json({
+      success: true,
+      data: newDelivery
+    });
+  } catch (err) {
+    handleError(res, err, 'Error redelivering webhook');
+  }
+});
+
+module.exports = router;
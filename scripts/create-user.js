@@ -0,0 +1,29 @@
+// Create a user from the command line, e.g. to bootstrap the first admin:
+//   npm run create-user -- admin@example.com "Jane Admin" s3cret admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const [email, name, password, role = 'admin'] = process.argv.slice(2);
+
+if (!email || !name || !password) {
+  console.error('Usage: npm run create-user -- <email> <name> <password> [role]');
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.NODE_ENV === 'production' ? process.env.MONGODB_URI_PROD : process.env.MONGODB_URI_LOCAL);
+
+  const user = new User({ email, name, role });
+  await user.setPassword(password);
+  await user.save();
+
+  console.log(`Created ${user.role} user ${user.email}`);
+};
+
+run()
+  .catch(err => {
+    console.error('Error creating user:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+// Fold the old `experience` field into yearsOfExp and remove it:
+//   npm run migrate-experience
+// Where both are set and differ, the larger value is kept: records created through
+// POST /api/candidate only had `experience`, leaving yearsOfExp at its default of 0.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Candidate = require('../models/Candidate');
+
+const run = async () => {
+  await mongoose.connect(process.env.NODE_ENV === 'production' ? process.env.MONGODB_URI_PROD : process.env.MONGODB_URI_LOCAL);
+
+  // `experience` is no longer in the schema, so this works on the collection directly. That also
+  // keeps the migration out of the audit trail and webhooks, and includes archived candidates.
+  const collection = Candidate.collection;
+
+  const conflicting = await collection.countDocuments({
+    experience: { $type: 'number', $gt: 0 },
+    $expr: { $ne: ['$experience', '$yearsOfExp'] }
+  });
+
+  const result = await collection.updateMany(
+    { experience: { $exists: true } },
+    [
+      {
+        $set: {
+          yearsOfExp: {
+            $max: [
+              { $ifNull: ['$yearsOfExp', 0] },
+              { $cond: [{ $isNumber: '$experience' }, '$experience', 0] }
+            ]
+          }
+        }
+      },
+      { $unset: 'experience' }
+    ]
+  );
+
+  console.log(`Migrated ${result.modifiedCount} candidates (${conflicting} had a different experience and yearsOfExp)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Error migrating experience:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,62 @@
+// Recalculate every job's normalized salary and every candidate's normalized rates, e.g. for
+// records created before they existed or after changing the exchange rates or hours per year
+// in config/salary.js:
+//   npm run normalize-salaries
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Candidate = require('../models/Candidate');
+const { normalizeSalary, normalizeRate } = require('../utils/salary');
+
+const run = async () => {
+  await mongoose.connect(process.env.NODE_ENV === 'production' ? process.env.MONGODB_URI_PROD : process.env.MONGODB_URI_LOCAL);
+
+  let updated = 0;
+  let unsupported = 0;
+
+  // Written directly rather than saved, so a recalculation doesn't show up as an edit
+  // in the audit trail, saved-search alerts or webhooks. Archived jobs are included.
+  const jobs = Job.find({ salary: { $ne: null } }).setOptions({ withDeleted: true }).select('title salary').lean();
+  for await (const job of jobs.cursor()) {
+    const normalized = normalizeSalary(job.salary);
+    if (!normalized) {
+      unsupported++;
+      console.warn(`Cannot normalize salary of "${job.title}" (${job._id}): ${job.salary.currency} ${job.salary.period}`);
+    }
+
+    await Job.updateOne(
+      { _id: job._id },
+      { 'salary.normalized': normalized || { min: null, max: null, currency: null } }
+    );
+    updated++;
+  }
+
+  console.log(`Normalized ${updated} salaries (${unsupported} with an unsupported currency or period)`);
+
+  updated = 0;
+  unsupported = 0;
+
+  const candidates = Candidate.find({ rate: { $ne: null } }).setOptions({ withDeleted: true }).select('name rate').lean();
+  for await (const candidate of candidates.cursor()) {
+    const normalized = normalizeRate(candidate.rate);
+    if (!normalized) {
+      unsupported++;
+      console.warn(`Cannot normalize rate of "${candidate.name}" (${candidate._id}): ${candidate.rate.currency} ${candidate.rate.period}`);
+    }
+
+    await Candidate.updateOne(
+      { _id: candidate._id },
+      { 'rate.normalized': normalized || { bill: null, pay: null, currency: null } }
+    );
+    updated++;
+  }
+
+  console.log(`Normalized ${updated} candidate rates (${unsupported} with an unsupported currency or period)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Error normalizing salaries:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+// Extract and store resume text for existing candidates:
+//   npm run reindex-resumes          (only candidates not indexed yet)
+//   npm run reindex-resumes -- --all (every candidate with a resume)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Candidate = require('../models/Candidate');
+const { extractResumeText } = require('../utils/resumeText');
+const storage = require('../utils/storage');
+
+const reindexAll = process.argv.includes('--all');
+
+const run = async () => {
+  await mongoose.connect(process.env.NODE_ENV === 'production' ? process.env.MONGODB_URI_PROD : process.env.MONGODB_URI_LOCAL);
+
+  const query = { 'resumeFile.path': { $ne: null } };
+  if (!reindexAll) query.resumeIndexedAt = null;
+
+  let indexed = 0;
+  let empty = 0;
+
+  // Stream with a cursor so large benches don't load into memory at once.
+  // Archived candidates are included so their text is current if they are restored.
+  // Written directly rather than saved, so reindexing doesn't show up as an edit
+  // in updatedAt, saved-search alerts or webhooks.
+  const candidates = Candidate.find(query).setOptions({ withDeleted: true }).select('email resumeFile').lean();
+  for await (const candidate of candidates.cursor()) {
+    const buffer = await storage.readFile(candidate.resumeFile.path);
+    if (!buffer) {
+      console.warn(`Resume file missing for ${candidate.email} (${candidate.resumeFile.filename})`);
+    }
+
+    const resumeText = await extractResumeText(buffer, candidate.resumeFile.mimetype);
+    await Candidate.updateOne({ _id: candidate._id }, { resumeText, resumeIndexedAt: new Date() });
+
+    indexed++;
+    if (!resumeText) {
+      empty++;
+      console.warn(`No text extracted for ${candidate.email} (${candidate.resumeFile.filename})`);
+    }
+  }
+
+  console.log(`Reindexed ${indexed} resumes (${empty} without extractable text)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Error reindexing resumes:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -4,16 +4,25 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const cors = require('cors');
 require('dotenv').config();
-const path = require('path');
+const multer = require('multer');
+const { sendValidationError } = require('./middleware/validate');
+const { apiRateLimit } = require('./middleware/rateLimit');
+const { trustProxy } = require('./config/rateLimit');
+const { scheduleJobExpiry } = require('./tasks/closeExpiredJobs');
+const { scheduleWebhookRetries } = require('./tasks/retryWebhookDeliveries');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+app.set('trust proxy', trustProxy);
+
 // CORS Middleware - Allow all origins
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Let browser clients read the rate limit headers
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Middleware
@@ -26,6 +35,8 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 mongoose.connect(process.env.NODE_ENV === 'production' ? process.env.MONGODB_URI_PROD : process.env.MONGODB_URI_LOCAL)
   .then(() => {
     console.log('Connected to MongoDB');
+    scheduleJobExpiry();
+    scheduleWebhookRetries();
   })
   .catch(err => {
     console.error('MongoDB connection error:', err.message);
@@ -41,13 +52,43 @@ mongoose.connection.on('disconnected', () => {
   console.log('MongoDB disconnected');
 });
 
+// Per-user and per-IP request limits for every API route
+app.use('/api', apiRateLimit);
+
 // Routes
+app.use('/api', require('./routes/auth'));
+app.use('/api', require('./routes/users'));
 app.use('/api', require('./routes/candidates'));
 app.use('/api', require('./routes/hotlists'));
+app.use('/api', require('./routes/hotlistShares'));
 app.use('/api', require('./routes/jobs'));
+app.use('/api', require('./routes/applications'));
+app.use('/api', require('./routes/interviews'));
+app.use('/api', require('./routes/audit'));
+app.use('/api', require('./routes/archive'));
+app.use('/api', require('./routes/savedSearches'));
+app.use('/api', require('./routes/webhooks'));
+app.use('/api', require('./routes/analytics'));
+app.use('/api', require('./routes/search'));
+
+
+// Errors passed to next(); malformed JSON and rejected uploads get the validation error format
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ location: 'body', field: '', message: 'Request body is not valid JSON' }]);
+  }
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+  if (err instanceof multer.MulterError || err.code === 'INVALID_FILE_TYPE') {
+    return sendValidationError(res, [{ location: 'body', field: err.field || '', message: err.message }]);
+  }
+
+  console.error('Unhandled error:', err);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+});
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
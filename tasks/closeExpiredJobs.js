@@ -0,0 +1,46 @@
+const Job = require('../models/Job');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+/**
+ * Close every active job whose application deadline has passed.
+ * Each job is saved individually so the lifecycle rules, statusHistory and audit trail apply.
+ */
+const closeExpiredJobs = async () => {
+  const now = new Date();
+  const expiredJobs = await Job.find({ status: 'active', applicationDeadline: { $lt: now } });
+
+  let closed = 0;
+  for (const job of expiredJobs) {
+    const reason = `Application deadline ${job.applicationDeadline.toISOString()} passed`;
+    try {
+      await job.transitionTo('closed', reason).save();
+      closed++;
+      console.log(`Closed job ${job._id} (${job.title}): ${reason}`);
+    } catch (err) {
+      console.error(`Error closing expired job ${job._id}:`, err.message);
+    }
+  }
+
+  return closed;
+};
+
+/**
+ * Run closeExpiredJobs now and then every JOB_SWEEP_INTERVAL_MINUTES (default 15).
+ * Returns the timer so callers can stop it.
+ */
+const scheduleJobExpiry = () => {
+  const minutes = parseInt(process.env.JOB_SWEEP_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const run = () => closeExpiredJobs().catch(err => {
+    console.error('Error closing expired jobs:', err.message);
+  });
+
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
+
+module.exports = {
+  closeExpiredJobs,
+  scheduleJobExpiry
+};
@@ -0,0 +1,28 @@
+const { retryDueDeliveries } = require('../utils/webhooks');
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+/**
+ * Retry due webhook deliveries every WEBHOOK_RETRY_INTERVAL_SECONDS (default 30).
+ * Returns the timer so callers can stop it.
+ */
+const scheduleWebhookRetries = () => {
+  const seconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || DEFAULT_INTERVAL_SECONDS;
+  let running = false;
+
+  return setInterval(() => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+
+    retryDueDeliveries()
+      .catch(err => console.error('Error retrying webhook deliveries:', err.message))
+      .finally(() => {
+        running = false;
+      });
+  }, seconds * 1000);
+};
+
+module.exports = {
+  scheduleWebhookRetries
+};
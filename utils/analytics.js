@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Candidate = require('../models/Candidate');
+const Hotlist = require('../models/Hotlist');
+const Application = require('../models/Application');
+const JobView = require('../models/JobView');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time series without an explicit range cover this many days up to now
+const DEFAULT_SERIES_DAYS = 12 * 7;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// A { $gte, $lte } filter on `field` for an optional from/to range
+const dateRange = (field, { from, to } = {}) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+};
+
+// Start of the day, ISO week (Monday) or month containing `date`, in UTC
+const bucketExpression = (interval, date) => {
+  if (interval === 'week') {
+    return { $dateFromParts: { isoWeekYear: { $isoWeekYear: date }, isoWeek: { $isoWeek: date }, isoDayOfWeek: 1 } };
+  }
+  if (interval === 'month') {
+    return { $dateFromParts: { year: { $year: date }, month: { $month: date }, day: 1 } };
+  }
+  return { $dateFromParts: { year: { $year: date }, month: { $month: date }, day: { $dayOfMonth: date } } };
+};
+
+// The same bucket start, computed in JS so empty buckets can be filled in
+const bucketStart = (interval, date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  if (interval === 'month') start.setUTCDate(1);
+  return start;
+};
+
+const nextBucket = (interval, date) => {
+  const next = new Date(date);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  else next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  return next;
+};
+
+// Documents per bucket of `dateField`, as a Map of bucket start (ms) -> count
+const countByBucket = async (Model, dateField, interval, range) => {
+  const rows = await Model.aggregate([
+    { $match: dateRange(dateField, range) },
+    { $group: { _id: bucketExpression(interval, `$${dateField}`), count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id.getTime(), row.count]));
+};
+
+/**
+ * Views -> applications conversion per job, with each job's applications broken down by stage.
+ * Jobs are filtered by status and by postedDate within from/to.
+ */
+const jobFunnel = async ({ from, to, status, sort = 'views', limit = 20 } = {}) => {
+  const query = { ...dateRange('postedDate', { from, to }) };
+  if (status) query.status = status;
+
+  const jobs = await Job.aggregate([
+    { $match: query },
+    {
+      $project: {
+        title: 1,
+        company: '$company.name',
+        status: 1,
+        postedDate: 1,
+        views: 1,
+        applications: 1,
+        conversionRate: {
+          $cond: [{ $gt: ['$views', 0] }, { $divide: ['$applications', '$views'] }, null]
+        }
+      }
+    },
+    { $sort: { [sort]: -1, postedDate: -1 } },
+    { $limit: limit }
+  ]);
+
+  const stageRows = await Application.aggregate([
+    { $match: { job: { $in: jobs.map(job => job._id) } } },
+    { $group: { _id: { job: '$job', stage: '$stage' }, count: { $sum: 1 } } }
+  ]);
+
+  const stagesByJob = new Map();
+  stageRows.forEach(({ _id, count }) => {
+    const key = _id.job.toString();
+    if (!stagesByJob.has(key)) {
+      stagesByJob.set(key, Object.fromEntries(Application.STAGES.map(stage => [stage, 0])));
+    }
+    stagesByJob.get(key)[_id.stage] = count;
+  });
+
+  const [totals] = await Job.aggregate([
+    { $match: query },
+    { $group: { _id: null, jobs: { $sum: 1 }, views: { $sum: '$views' }, applications: { $sum: '$applications' } } }
+  ]);
+  const summary = totals || { jobs: 0, views: 0, applications: 0 };
+
+  return {
+    summary: {
+      jobs: summary.jobs,
+      views: summary.views,
+      applications: summary.applications,
+      conversionRate: summary.views ? round(summary.applications / summary.views) : null
+    },
+    jobs: jobs.map(job => ({
+      ...job,
+      conversionRate: job.conversionRate === null ? null : round(job.conversionRate),
+      stages: stagesByJob.get(job._id.toString()) ||
+        Object.fromEntries(Application.STAGES.map(stage => [stage, 0]))
+    }))
+  };
+};
+
+/**
+ * Open (active) jobs per primary technology next to active bench candidates per technology.
+ * Technologies are compared case-insensitively. from/to limit the jobs by postedDate;
+ * the bench is always the current one.
+ */
+const technologyDemand = async ({ from, to } = {}) => {
+  const byTechnology = (field) => [
+    { $group: { _id: { $toLower: { $trim: { input: `$${field}` } } }, name: { $first: `$${field}` }, count: { $sum: 1 } } }
+  ];
+
+  const [jobRows, candidateRows] = await Promise.all([
+    Job.aggregate([
+      { $match: { status: 'active', applicationDeadline: { $gte: new Date() }, ...dateRange('postedDate', { from, to }) } },
+      ...byTechnology('primaryTechnology')
+    ]),
+    Candidate.aggregate([
+      { $match: { status: 'active' } },
+      ...byTechnology('technology')
+    ])
+  ]);
+
+  const technologies = new Map();
+  const entry = (row) => {
+    if (!technologies.has(row._id)) {
+      technologies.set(row._id, { technology: row.name, openJobs: 0, benchCandidates: 0 });
+    }
+    return technologies.get(row._id);
+  };
+  jobRows.forEach(row => { entry(row).openJobs = row.count; });
+  candidateRows.forEach(row => { entry(row).benchCandidates = row.count; });
+
+  return [...technologies.values()]
+    .map(item => ({
+      ...item,
+      // Positive when there are more openings than bench candidates to fill them
+      gap: item.openJobs - item.benchCandidates,
+      candidatesPerJob: item.openJobs ? round(item.benchCandidates / item.openJobs) : null
+    }))
+    .sort((a, b) => b.openJobs - a.openJobs || b.benchCandidates - a.benchCandidates);
+};
+
+/**
+ * Jobs posted and candidates added per day, week or month, with empty buckets included.
+ * Defaults to the last 12 weeks.
+ */
+const activityTimeSeries = async ({ from, to, interval = 'week' } = {}) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_SERIES_DAYS * DAY_MS);
+  const range = { from: start, to: end };
+
+  const [jobs, candidates] = await Promise.all([
+    countByBucket(Job, 'postedDate', interval, range),
+    countByBucket(Candidate, 'createdAt', interval, range)
+  ]);
+
+  const series = [];
+  for (let bucket = bucketStart(interval, start); bucket <= end; bucket = nextBucket(interval, bucket)) {
+    series.push({
+      period: bucket,
+      jobsPosted: jobs.get(bucket.getTime()) || 0,
+      candidatesAdded: candidates.get(bucket.getTime()) || 0
+    });
+  }
+
+  return { interval, from: start, to: end, series };
+};
+
+/**
+ * Job views per day, week or month from the recorded view events: every view, unique views
+ * (repeat views within the dedupe window left out, as in Job.views) and distinct visitors.
+ * Includes empty buckets and the most viewed jobs. Defaults to the last 12 weeks.
+ */
+const jobViews = async ({ from, to, interval = 'day', job, limit = 20 } = {}) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_SERIES_DAYS * DAY_MS);
+  const match = { ...dateRange('viewedAt', { from: start, to: end }) };
+  if (job) match.job = new mongoose.Types.ObjectId(job);
+
+  // Views, unique views and distinct visitors per `key`; grouping by visitor first avoids collecting visitor sets
+  const countViews = (key) => [
+    { $match: match },
+    {
+      $group: {
+        _id: { key, visitor: '$visitor' },
+        views: { $sum: 1 },
+        uniqueViews: { $sum: { $cond: ['$counted', 1, 0] } }
+      }
+    },
+    { $group: { _id: '$_id.key', views: { $sum: '$views' }, uniqueViews: { $sum: '$uniqueViews' }, visitors: { $sum: 1 } } }
+  ];
+
+  const [bucketRows, [totals], jobRows] = await Promise.all([
+    JobView.aggregate(countViews(bucketExpression(interval, '$viewedAt'))),
+    JobView.aggregate(countViews(null)),
+    JobView.aggregate([
+      ...countViews('$job'),
+      { $sort: { uniqueViews: -1, views: -1 } },
+      { $limit: limit },
+      { $lookup: { from: Job.collection.name, localField: '_id', foreignField: '_id', as: 'job' } },
+      { $project: { title: { $first: '$job.title' }, company: { $first: '$job.company.name' }, views: 1, uniqueViews: 1, visitors: 1 } }
+    ])
+  ]);
+
+  const buckets = new Map(bucketRows.map(row => [row._id.getTime(), row]));
+  const series = [];
+  for (let bucket = bucketStart(interval, start); bucket <= end; bucket = nextBucket(interval, bucket)) {
+    const row = buckets.get(bucket.getTime()) || { views: 0, uniqueViews: 0, visitors: 0 };
+    series.push({ period: bucket, views: row.views, uniqueViews: row.uniqueViews, visitors: row.visitors });
+  }
+
+  return {
+    interval,
+    from: start,
+    to: end,
+    summary: {
+      views: totals ? totals.views : 0,
+      uniqueViews: totals ? totals.uniqueViews : 0,
+      visitors: totals ? totals.visitors : 0
+    },
+    series,
+    jobs: jobRows
+  };
+};
+
+/**
+ * How much of the bench is on hotlists: hotlist sizes, candidates on at least one hotlist
+ * by status, and active candidates on none. from/to limit the hotlists by createdAt.
+ */
+const hotlistCoverage = async ({ from, to } = {}) => {
+  const hotlistQuery = dateRange('createdAt', { from, to });
+
+  const [sizes] = await Hotlist.aggregate([
+    { $match: hotlistQuery },
+    { $project: { size: { $size: '$candidates' } } },
+    {
+      $group: {
+        _id: null,
+        hotlists: { $sum: 1 },
+        entries: { $sum: '$size' },
+        averageSize: { $avg: '$size' },
+        largest: { $max: '$size' },
+        empty: { $sum: { $cond: [{ $eq: ['$size', 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const listedIds = await Hotlist.distinct('candidates', hotlistQuery);
+
+  const [statusRows, benchSize] = await Promise.all([
+    Candidate.aggregate([
+      { $group: { _id: '$status', total: { $sum: 1 }, listed: { $sum: { $cond: [{ $in: ['$_id', listedIds] }, 1, 0] } } } }
+    ]),
+    Candidate.countDocuments({ status: 'active' })
+  ]);
+
+  const byStatus = statusRows.map(row => ({
+    status: row._id,
+    candidates: row.total,
+    onHotlists: row.listed,
+    coverage: row.total ? round(row.listed / row.total) : null
+  }));
+  const active = byStatus.find(row => row.status === 'active') || { onHotlists: 0 };
+
+  return {
+    hotlists: {
+      total: sizes ? sizes.hotlists : 0,
+      entries: sizes ? sizes.entries : 0,
+      averageSize: sizes ? round(sizes.averageSize) : 0,
+      largest: sizes ? sizes.largest : 0,
+      empty: sizes ? sizes.empty : 0
+    },
+    bench: {
+      activeCandidates: benchSize,
+      onHotlists: active.onHotlists,
+      notOnAnyHotlist: benchSize - active.onHotlists,
+      coverage: benchSize ? round(active.onHotlists / benchSize) : null
+    },
+    byStatus
+  };
+};
+
+module.exports = {
+  jobFunnel,
+  technologyDemand,
+  activityTimeSeries,
+  jobViews,
+  hotlistCoverage
+};
@@ -0,0 +1,259 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const Candidate = require('../models/Candidate');
+const { setActor } = require('../models/plugins/audit');
+
+// Spreadsheet header (lowercased, letters and digits only) -> Candidate field
+const DEFAULT_COLUMNS = {
+  name: 'name',
+  fullname: 'name',
+  candidatename: 'name',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phone',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  yearsofexp: 'yearsOfExp',
+  yearsofexperience: 'yearsOfExp',
+  experience: 'yearsOfExp',
+  yoe: 'yearsOfExp',
+  technology: 'technology',
+  tech: 'technology',
+  primarytechnology: 'technology',
+  skills: 'skills',
+  skillset: 'skills',
+  status: 'status',
+  avatar: 'avatar',
+  workauthorization: 'workAuthorization',
+  workstatus: 'workAuthorization',
+  visa: 'workAuthorization',
+  visastatus: 'workAuthorization',
+  location: 'currentLocation',
+  currentlocation: 'currentLocation',
+  relocation: 'willingToRelocate',
+  relocate: 'willingToRelocate',
+  willingtorelocate: 'willingToRelocate',
+  availability: 'availableFrom',
+  availablefrom: 'availableFrom',
+  startdate: 'availableFrom',
+  billrate: 'billRate',
+  payrate: 'payRate'
+};
+
+const IMPORTABLE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'yearsOfExp',
+  'technology',
+  'skills',
+  'status',
+  'avatar',
+  'workAuthorization',
+  'currentLocation',
+  'willingToRelocate',
+  'availableFrom',
+  'billRate',
+  'payRate'
+];
+
+// Common spellings of work authorizations (letters and digits only, lowercased) -> Candidate value
+const WORK_AUTHORIZATION_ALIASES = {
+  uscitizen: 'USC',
+  citizen: 'USC',
+  greencard: 'GC',
+  h1: 'H1B',
+  gcead: 'GC-EAD',
+  h4ead: 'H4-EAD',
+  l2ead: 'L2-EAD',
+  stemopt: 'STEM-OPT',
+  optead: 'OPT'
+};
+
+// Match a work authorization case- and punctuation-insensitively ("h-1b", "Green Card");
+// anything unrecognized is kept so validation reports it
+const parseWorkAuthorization = (value) => {
+  const key = value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return WORK_AUTHORIZATION_ALIASES[key] ||
+    Candidate.WORK_AUTHORIZATIONS.find(option => option.toLowerCase().replace(/[^a-z0-9]/g, '') === key) ||
+    value;
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Key each record by the header row; cells missing from short rows are blank
+const toRows = (records) => {
+  if (!records.length) return [];
+
+  const [headers, ...rows] = records;
+  return rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] === undefined ? '' : row[index]])));
+};
+
+const readCsv = (buffer) => parse(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true });
+
+// Dates become YYYY-MM-DD; formulas, links and rich text use their displayed text
+const cellText = (cell) => {
+  if (cell.value instanceof Date) return cell.value.toISOString().slice(0, 10);
+  if (cell.value && cell.value.result instanceof Date) return cell.value.result.toISOString().slice(0, 10);
+  return cell.text.trim();
+};
+
+// Rows of the first worksheet as arrays of strings, skipping blank rows
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const records = [];
+  worksheet.eachRow(row => {
+    const values = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      values.push(cellText(row.getCell(column)));
+    }
+    if (values.some(Boolean)) records.push(values);
+  });
+  return records;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file (the first worksheet) into an array of row objects
+ * keyed by header. Cells missing from short rows are blank; rejects if the file can't be parsed.
+ */
+const readRows = async (buffer, filename) => {
+  const records = path.extname(filename).toLowerCase() === '.xlsx' ? await readXlsx(buffer) : readCsv(buffer);
+  return toRows(records);
+};
+
+/**
+ * Build the header -> field mapping. `overrides` maps a spreadsheet header to a field
+ * and wins over the built-in header names.
+ */
+const buildColumnMap = (headers, overrides = {}) => {
+  const normalizedOverrides = {};
+  Object.entries(overrides).forEach(([header, field]) => {
+    normalizedOverrides[normalizeHeader(header)] = field;
+  });
+
+  const columnMap = {};
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    const field = normalizedOverrides[key] || DEFAULT_COLUMNS[key];
+    if (IMPORTABLE_FIELDS.includes(field)) columnMap[header] = field;
+  });
+  return columnMap;
+};
+
+// Turn one spreadsheet row into Candidate fields, skipping blank cells
+const mapRow = (row, columnMap) => {
+  const fields = {};
+
+  Object.entries(columnMap).forEach(([header, field]) => {
+    const value = String(row[header]).trim();
+    if (value === '') return;
+
+    if (field === 'skills') {
+      fields.skills = value.split(/[,;]/).map(skill => skill.trim()).filter(Boolean);
+    } else if (field === 'yearsOfExp') {
+      fields.yearsOfExp = Number(value);
+    } else if (field === 'email') {
+      fields.email = value.toLowerCase();
+    } else if (field === 'workAuthorization') {
+      fields.workAuthorization = parseWorkAuthorization(value);
+    } else if (field === 'willingToRelocate') {
+      fields.willingToRelocate = value.toLowerCase();
+    } else if (field === 'billRate' || field === 'payRate') {
+      // Set by path so an upsert keeps the rate fields the file doesn't have
+      fields[field === 'billRate' ? 'rate.bill' : 'rate.pay'] = Number(value);
+    } else {
+      fields[field] = value;
+    }
+  });
+
+  return fields;
+};
+
+// Flatten a Mongoose ValidationError into per-field messages
+const validationMessages = (err) => (
+  err.errors ?
+    Object.values(err.errors).map(error => ({ field: error.path, message: error.message })) :
+    [{ field: null, message: err.message }]
+);
+
+/**
+ * Validate and (unless dryRun) create or update candidates from spreadsheet rows.
+ * Existing emails are updated when `upsert` is set and rejected otherwise.
+ * `actor` is recorded in the audit trail for saved rows.
+ * Returns a per-row report; row numbers match the spreadsheet (header is row 1).
+ */
+const importCandidates = async (rows, { dryRun = true, upsert = false, columns = {}, actor = null } = {}) => {
+  const columnMap = buildColumnMap(rows.length ? Object.keys(rows[0]) : [], columns);
+  const mapped = rows.map(row => mapRow(row, columnMap));
+
+  const emails = mapped.map(fields => fields.email).filter(Boolean);
+  // Archived candidates still hold their email, so look them up too
+  const existing = await Candidate.find({ email: { $in: emails } }).setOptions({ withDeleted: true });
+  const existingByEmail = new Map(existing.map(candidate => [candidate.email.toLowerCase(), candidate]));
+
+  const seenEmails = new Set();
+  const results = [];
+
+  for (const [index, fields] of mapped.entries()) {
+    const result = { row: index + 2, email: fields.email || null };
+
+    if (fields.email && seenEmails.has(fields.email)) {
+      results.push({ ...result, action: 'reject', errors: [{ field: 'email', message: 'Duplicate email in file' }] });
+      continue;
+    }
+    if (fields.email) seenEmails.add(fields.email);
+
+    const current = fields.email && existingByEmail.get(fields.email);
+    if (current && current.deletedAt) {
+      results.push({
+        ...result,
+        action: 'reject',
+        errors: [{ field: 'email', message: 'An archived candidate with this email exists; restore it instead' }]
+      });
+      continue;
+    }
+    if (current && !upsert) {
+      results.push({ ...result, action: 'reject', errors: [{ field: 'email', message: 'A candidate with this email already exists' }] });
+      continue;
+    }
+
+    const candidate = current || new Candidate();
+    candidate.set(fields);
+
+    try {
+      await candidate.validate();
+      if (!dryRun) await setActor(candidate, actor).save();
+      // A dry-run create has no real ID yet
+      const id = dryRun && !current ? undefined : candidate._id;
+      results.push({ ...result, action: current ? 'update' : 'create', id });
+    } catch (err) {
+      results.push({ ...result, action: 'reject', errors: validationMessages(err) });
+    }
+  }
+
+  const count = (action) => results.filter(result => result.action === action).length;
+
+  return {
+    dryRun,
+    upsert,
+    columns: columnMap,
+    summary: {
+      total: results.length,
+      created: count('create'),
+      updated: count('update'),
+      rejected: count('reject')
+    },
+    rows: results
+  };
+};
+
+module.exports = {
+  readRows,
+  importCandidates
+};
@@ -0,0 +1,171 @@
+const Candidate = require('../models/Candidate');
+const Application = require('../models/Application');
+const Hotlist = require('../models/Hotlist');
+const Interview = require('../models/Interview');
+const { setActor } = require('../models/plugins/audit');
+const storage = require('./storage');
+
+const DEFAULT_TECHNOLOGY = Candidate.schema.path('technology').defaultValue;
+const DEFAULT_AVATAR = Candidate.schema.path('avatar').defaultValue;
+
+// When merged records disagree on status, the earlier entry wins
+const STATUS_PRIORITY = ['active', 'pending', 'inactive'];
+
+const hasResume = (candidate) => Boolean(candidate.resumeFile && candidate.resumeFile.path);
+
+// Upload time of a resume; records from before uploadedAt existed fall back to the last update
+const resumeDate = (candidate) => (
+  candidate.resumeFile.uploadedAt || candidate.resumeIndexedAt || candidate.updatedAt || candidate.createdAt
+);
+
+// The survivor's value unless it is empty or the default, then the first useful value from the others
+const firstUseful = (records, field, defaultValue) => {
+  const found = records.find(record => record[field] && record[field] !== defaultValue);
+  return found ? found[field] : records[0][field];
+};
+
+// Skills from every record, keeping the first spelling of each
+const mergeSkills = (records) => {
+  const seen = new Map();
+  records.forEach(record => (record.skills || []).forEach(skill => {
+    const key = skill.trim().toLowerCase();
+    if (key && !seen.has(key)) seen.set(key, skill.trim());
+  }));
+  return [...seen.values()];
+};
+
+/**
+ * Combine the duplicate fields into the survivor. Returns the storage keys of resumes
+ * that are no longer referenced once the merge is saved.
+ */
+const combineFields = (survivor, duplicates) => {
+  const records = [survivor, ...duplicates];
+
+  survivor.name = firstUseful(records, 'name');
+  survivor.phone = firstUseful(records, 'phone');
+  survivor.technology = firstUseful(records, 'technology', DEFAULT_TECHNOLOGY);
+  survivor.avatar = firstUseful(records, 'avatar', DEFAULT_AVATAR);
+  survivor.yearsOfExp = Math.max(...records.map(record => record.yearsOfExp || 0));
+  survivor.skills = mergeSkills(records);
+  survivor.workAuthorization = firstUseful(records, 'workAuthorization');
+  survivor.currentLocation = firstUseful(records, 'currentLocation');
+  survivor.availableFrom = firstUseful(records, 'availableFrom');
+  survivor.willingToRelocate = records.some(record => record.willingToRelocate);
+
+  const withRate = records.find(record => record.rate && (record.rate.bill !== null || record.rate.pay !== null));
+  if (withRate && withRate !== survivor) survivor.rate = withRate.toObject().rate;
+
+  survivor.status = records
+    .map(record => record.status)
+    .sort((a, b) => STATUS_PRIORITY.indexOf(a) - STATUS_PRIORITY.indexOf(b))[0];
+
+  // Keep the duplicates' addresses so the merged record can still be recognised by them
+  const emails = new Set([...survivor.alternateEmails, ...duplicates.flatMap(record => [record.email, ...record.alternateEmails])]);
+  emails.delete(survivor.email);
+  survivor.alternateEmails = [...emails];
+
+  // Keep the newest resume and release the rest
+  const withResume = records.filter(hasResume);
+  if (withResume.length === 0) return [];
+
+  const newest = withResume.reduce((best, record) => (resumeDate(record) > resumeDate(best) ? record : best));
+  if (newest !== survivor) {
+    survivor.resumeFile = newest.toObject().resumeFile;
+    survivor.resumeText = newest.resumeText;
+    survivor.resumeIndexedAt = newest.resumeIndexedAt;
+  }
+
+  return withResume
+    .filter(record => record !== newest)
+    .map(record => record.resumeFile.path);
+};
+
+// Point the duplicates' hotlist entries at the survivor, keeping each hotlist's order
+const rewriteHotlists = async (survivorId, duplicateIds, actor) => {
+  const replaced = new Set(duplicateIds.map(String));
+  const hotlists = await Hotlist.find({ candidates: { $in: duplicateIds } }).setOptions({ withDeleted: true });
+
+  for (const hotlist of hotlists) {
+    const seen = new Set();
+    hotlist.candidates = hotlist.candidates
+      .map(id => (replaced.has(id.toString()) ? survivorId : id))
+      .filter(id => {
+        const key = id.toString();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    await setActor(hotlist, actor).save();
+  }
+
+  return hotlists.length;
+};
+
+// Move the duplicates' applications to the survivor; where the survivor already applied, theirs is kept
+const moveApplications = async (survivorId, duplicateIds) => {
+  const appliedJobs = new Set((await Application.distinct('job', { candidate: survivorId })).map(String));
+  const applications = await Application.find({ candidate: { $in: duplicateIds } }).sort({ createdAt: 1 });
+  const affectedJobs = new Set();
+  let moved = 0;
+
+  for (const application of applications) {
+    const jobId = application.job.toString();
+    affectedJobs.add(jobId);
+
+    if (appliedJobs.has(jobId)) {
+      await application.deleteOne();
+    } else {
+      await Application.updateOne({ _id: application._id }, { candidate: survivorId });
+      appliedJobs.add(jobId);
+      moved++;
+    }
+  }
+
+  await Promise.all([...affectedJobs].map(jobId => Application.syncJobCount(jobId)));
+  return moved;
+};
+
+// Move the duplicates' interviews to the survivor; their sequence goes up so calendars pick up the change
+const moveInterviews = async (survivorId, duplicateIds) => {
+  const { modifiedCount } = await Interview.updateMany(
+    { candidate: { $in: duplicateIds } },
+    { $set: { candidate: survivorId, updatedAt: new Date() }, $inc: { sequence: 1 } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Merge duplicate candidates into `survivor` and delete them.
+ *
+ * The survivor keeps its email, gains the best of the other fields and the newest resume,
+ * and takes over the duplicates' hotlist entries, applications and interviews.
+ * `actor` is recorded in the audit trail for every changed document.
+ */
+const mergeCandidates = async (survivor, duplicates, actor) => {
+  const duplicateIds = duplicates.map(duplicate => duplicate._id);
+  const unusedResumes = combineFields(survivor, duplicates);
+
+  // Saved first: if the merged record is invalid, nothing else has changed yet
+  const candidate = await setActor(survivor, actor).save();
+
+  const hotlistsUpdated = await rewriteHotlists(survivor._id, duplicateIds, actor);
+  const applicationsMoved = await moveApplications(survivor._id, duplicateIds);
+  const interviewsMoved = await moveInterviews(survivor._id, duplicateIds);
+
+  for (const duplicate of duplicates) {
+    await setActor(duplicate, actor).deleteOne();
+  }
+  unusedResumes.forEach(key => storage.removeQuietly(key));
+
+  return {
+    candidate,
+    merged: duplicateIds,
+    hotlistsUpdated,
+    applicationsMoved,
+    interviewsMoved
+  };
+};
+
+module.exports = {
+  mergeCandidates
+};
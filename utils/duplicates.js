@@ -0,0 +1,169 @@
+// How much each signal contributes to the overall duplicate score
+const WEIGHTS = {
+  name: 0.4,
+  phone: 0.25,
+  email: 0.2,
+  skills: 0.15
+};
+
+// Phone numbers are compared on their last digits so country codes and formatting don't matter
+const PHONE_DIGITS = 10;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Lowercase, strip accents and punctuation, and sort the name parts so "Smith, John" equals "John Smith"
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-PHONE_DIGITS);
+
+// The part before the @, without dots and +tags: "John.Smith+jobs@x.com" -> "johnsmith"
+const emailLocalPart = (email) => String(email || '')
+  .toLowerCase()
+  .split('@')[0]
+  .split('+')[0]
+  .replace(/[^a-z0-9]/g, '');
+
+// Dice coefficient over character pairs: 1 for equal strings, tolerant of small spelling differences
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const pair = a.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const pair = b.slice(i, i + 2);
+    if (pairs.get(pair) > 0) {
+      pairs.set(pair, pairs.get(pair) - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length - 2);
+};
+
+// Normalized values used for comparison, computed once per candidate
+const profile = (candidate) => ({
+  candidate,
+  name: normalizeName(candidate.name),
+  phone: normalizePhone(candidate.phone),
+  emails: [candidate.email, ...(candidate.alternateEmails || [])].map(emailLocalPart).filter(Boolean),
+  skills: new Set((candidate.skills || []).map(skill => String(skill).trim().toLowerCase()).filter(Boolean))
+});
+
+const scoreName = (a, b) => ({ score: similarity(a.name, b.name) });
+
+const scorePhone = (a, b) => ({
+  score: a.phone.length >= 7 && a.phone === b.phone ? 1 : 0
+});
+
+// Best match between any of the two candidates' addresses
+const scoreEmail = (a, b) => {
+  let best = 0;
+  a.emails.forEach(left => b.emails.forEach(right => {
+    best = Math.max(best, similarity(left, right));
+  }));
+  return { score: best };
+};
+
+// Shared skills as a fraction of all skills the two have between them
+const scoreSkills = (a, b) => {
+  const shared = [...a.skills].filter(skill => b.skills.has(skill));
+  const total = new Set([...a.skills, ...b.skills]).size;
+  return { score: total ? shared.length / total : 0, shared };
+};
+
+/**
+ * Score how likely two profiles (see profile()) are the same person.
+ * Returns an overall score from 0 to 100 plus the breakdown it was built from.
+ */
+const scorePair = (a, b) => {
+  const name = scoreName(a, b);
+  const phone = scorePhone(a, b);
+  const email = scoreEmail(a, b);
+  const skills = scoreSkills(a, b);
+
+  const total = name.score * WEIGHTS.name +
+    phone.score * WEIGHTS.phone +
+    email.score * WEIGHTS.email +
+    skills.score * WEIGHTS.skills;
+
+  return {
+    score: round(total * 100),
+    breakdown: {
+      name: { ...name, score: round(name.score), weight: WEIGHTS.name },
+      phone: { ...phone, weight: WEIGHTS.phone },
+      email: { ...email, score: round(email.score), weight: WEIGHTS.email },
+      skills: { ...skills, score: round(skills.score), weight: WEIGHTS.skills }
+    }
+  };
+};
+
+// Keys two likely duplicates would share; only candidates with a key in common are compared
+const blockingKeys = (entry) => [
+  ...entry.name.split(' ').filter(part => part.length > 1).map(part => `name:${part}`),
+  ...entry.emails.map(local => `email:${local.slice(0, 4)}`),
+  ...(entry.phone ? [`phone:${entry.phone}`] : [])
+];
+
+/**
+ * Find likely duplicate pairs among `candidates`, best first.
+ * With `candidateId`, only pairs involving that candidate are returned.
+ */
+const findDuplicates = (candidates, { candidateId = null, minScore = 50, limit = 20 } = {}) => {
+  const entries = candidates.map(profile);
+
+  const blocks = new Map();
+  entries.forEach((entry, index) => {
+    new Set(blockingKeys(entry)).forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    });
+  });
+
+  const isTarget = (entry) => !candidateId || entry.candidate._id.toString() === candidateId.toString();
+  const compared = new Set();
+  const pairs = [];
+
+  blocks.forEach(indexes => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const pairKey = `${indexes[i]}:${indexes[j]}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const a = entries[indexes[i]];
+        const b = entries[indexes[j]];
+        if (!isTarget(a) && !isTarget(b)) continue;
+
+        const result = scorePair(a, b);
+        if (result.score >= minScore) {
+          // Keep the requested candidate first when there is one
+          const [first, second] = isTarget(a) ? [a, b] : [b, a];
+          pairs.push({ candidates: [first.candidate, second.candidate], ...result });
+        }
+      }
+    }
+  });
+
+  return pairs
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  findDuplicates
+};
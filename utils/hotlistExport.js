@@ -0,0 +1,130 @@
+const { escapeHtml } = require('./escape');
+
+const PERIOD_UNITS = { hourly: 'hr', weekly: 'wk', monthly: 'mo', yearly: 'yr' };
+
+// "85 USD/hr", or blank when the rate isn't set
+const formatRate = (rate, field) => (
+  rate && rate[field] !== null && rate[field] !== undefined ?
+    `${rate[field]} ${rate.currency}/${PERIOD_UNITS[rate.period] || rate.period}` :
+    ''
+);
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Columns available to exports, in their default display order
+const EXPORT_COLUMNS = {
+  name: { label: 'Name', value: candidate => candidate.name },
+  email: { label: 'Email', value: candidate => candidate.email },
+  technology: { label: 'Technology', value: candidate => candidate.technology },
+  yearsOfExp: { label: 'Years of Experience', value: candidate => candidate.yearsOfExp },
+  skills: { label: 'Skills', value: candidate => (candidate.skills || []).join(', ') },
+  workAuthorization: { label: 'Work Authorization', value: candidate => candidate.workAuthorization },
+  currentLocation: { label: 'Location', value: candidate => candidate.currentLocation },
+  willingToRelocate: { label: 'Willing to Relocate', value: candidate => (candidate.willingToRelocate ? 'Yes' : 'No') },
+  availableFrom: { label: 'Available From', value: candidate => formatDate(candidate.availableFrom) },
+  billRate: { label: 'Bill Rate', value: candidate => formatRate(candidate.rate, 'bill') },
+  payRate: { label: 'Pay Rate', value: candidate => formatRate(candidate.rate, 'pay') },
+  status: { label: 'Status', value: candidate => candidate.status }
+};
+
+const DEFAULT_COLUMNS = ['name', 'technology', 'yearsOfExp', 'skills', 'workAuthorization', 'currentLocation', 'availableFrom', 'status'];
+
+// Contact details hidden when an export is redacted
+const CONTACT_COLUMNS = ['email'];
+
+// What the candidate is paid; left blank when an export is redacted
+const INTERNAL_COLUMNS = ['payRate'];
+
+// Keep the first character and the domain so the recipient can tell entries apart
+const maskEmail = (email) => {
+  const [local, domain] = String(email || '').split('@');
+  if (!local || !domain) return '';
+  return `${local[0]}***@${domain}`;
+};
+
+/**
+ * Parse the `columns` query value into known column keys, falling back to the defaults.
+ * Returns { columns, unknown } so the route can reject typos.
+ */
+const parseColumns = (value) => {
+  if (!value) return { columns: DEFAULT_COLUMNS, unknown: [] };
+
+  const requested = String(value).split(',').map(column => column.trim()).filter(Boolean);
+  return {
+    columns: requested.filter(column => EXPORT_COLUMNS[column]),
+    unknown: requested.filter(column => !EXPORT_COLUMNS[column])
+  };
+};
+
+// Build display rows: one array of cell strings per candidate
+const buildRows = (candidates, columns, redact) => candidates.map(candidate => columns.map(column => {
+  const value = EXPORT_COLUMNS[column].value(candidate);
+  if (redact && CONTACT_COLUMNS.includes(column)) {
+    return column === 'email' ? maskEmail(value) : '';
+  }
+  if (redact && INTERNAL_COLUMNS.includes(column)) return '';
+  return value === undefined || value === null ? '' : String(value);
+}));
+
+const csvCell = (value) => {
+  // Stop spreadsheet apps from evaluating cells as formulas
+  const safe = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * Render a populated hotlist as CSV.
+ */
+const toCsv = (hotlist, { columns = DEFAULT_COLUMNS, redact = false } = {}) => {
+  const header = columns.map(column => EXPORT_COLUMNS[column].label);
+  const rows = buildRows(hotlist.candidates, columns, redact);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Render a populated hotlist as a self-contained HTML document.
+ * Styles are inline because most email clients strip <style> blocks.
+ */
+const toHtml = (hotlist, { columns = DEFAULT_COLUMNS, redact = false } = {}) => {
+  const cellStyle = 'border:1px solid #d0d7de;padding:6px 10px;text-align:left;vertical-align:top;';
+  const headerStyle = `${cellStyle}background:#f3f4f6;font-weight:bold;`;
+
+  const headerCells = columns
+    .map(column => `<th style="${headerStyle}">${escapeHtml(EXPORT_COLUMNS[column].label)}</th>`)
+    .join('');
+
+  const bodyRows = buildRows(hotlist.candidates, columns, redact)
+    .map(row => `<tr>${row.map(cell => `<td style="${cellStyle}">${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('\n');
+
+  const description = hotlist.description ?
+    `<p style="margin:0 0 12px;color:#374151;">${escapeHtml(hotlist.description)}</p>` :
+    '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(hotlist.name)}</title>
+</head>
+<body style="font-family:Arial,Helvetica,sans-serif;font-size:14px;color:#111827;">
+<h2 style="margin:0 0 8px;">${escapeHtml(hotlist.name)}</h2>
+${description}
+<table style="border-collapse:collapse;">
+<thead><tr>${headerCells}</tr></thead>
+<tbody>
+${bodyRows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  toCsv,
+  toHtml
+};
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const HotlistShare = require('../models/HotlistShare');
+
+const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A new link token and the hash to store for it
+const createShareToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashShareToken(token) };
+};
+
+// The unrevoked, unexpired share for a link token, or null
+const findActiveShare = (token) => HotlistShare.findOne({
+  tokenHash: hashShareToken(token),
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Only the share's fields of a candidate; ids are left out so nothing links back to internal records
+const redactCandidate = (candidate, fields) => Object.fromEntries(
+  fields.filter(field => candidate[field] !== undefined).map(field => [field, candidate[field]])
+);
+
+module.exports = {
+  createShareToken,
+  findActiveShare,
+  redactCandidate
+};
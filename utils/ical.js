@@ -0,0 +1,126 @@
+const { productId, uidDomain } = require('../config/calendar');
+
+// iCalendar (RFC 5545) output for interviews. Times are written in UTC, which every
+// calendar converts to the viewer's zone; the agreed local time is in the description.
+
+const ROUND_LABELS = {
+  screening: 'Screening',
+  technical: 'Technical',
+  managerial: 'Managerial',
+  hr: 'HR',
+  client: 'Client',
+  final: 'Final'
+};
+
+// 20261101T150000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Control characters other than line breaks have no place in calendar text and could end a line early
+const CONTROL_CHARACTERS = /[\u0000-\u0009\u000B\u000C\u000E-\u001F\u007F]/g;
+
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(CONTROL_CHARACTERS, '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+// Quoted parameter values (e.g. CN="...") can't contain quotes or any control characters
+const paramText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[\u0000-\u001F\u007F"]/g, '');
+
+// Only plain addresses are written after mailto:, so a stored value can't add properties
+const isPlainEmail = (email) => /^[^\s@"<>:;,\\]+@[^\s@"<>:;,\\]+\.[^\s@"<>:;,\\]+$/.test(String(email || ''));
+
+// Lines are limited to 75 octets; longer ones continue on lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const localTime = (date, timeZone) => new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  dateStyle: 'full',
+  timeStyle: 'short'
+}).format(date);
+
+const personName = (person) => (person && person.name) || 'Unknown';
+
+/**
+ * VEVENT lines for an interview with candidate, job and interviewers populated.
+ */
+const interviewEvent = (interview) => {
+  const { candidate, job, interviewers = [] } = interview;
+  const round = ROUND_LABELS[interview.round] || interview.round;
+  const jobTitle = job ? job.title : 'Unknown job';
+  const company = job && job.company ? job.company.name : '';
+
+  const description = [
+    `${round} interview with ${personName(candidate)} for ${jobTitle}${company ? ` at ${company}` : ''}`,
+    `When: ${localTime(interview.startsAt, interview.timeZone)} (${interview.timeZone})`,
+    `Interviewers: ${interviewers.map(personName).join(', ')}`,
+    interview.meetingUrl && `Join: ${interview.meetingUrl}`,
+    interview.notes && `Notes: ${interview.notes}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:interview-${interview._id}@${uidDomain}`,
+    `DTSTAMP:${formatUtc(interview.updatedAt || new Date())}`,
+    `DTSTART:${formatUtc(interview.startsAt)}`,
+    `DTEND:${formatUtc(interview.endsAt)}`,
+    `SEQUENCE:${interview.sequence || 0}`,
+    `SUMMARY:${escapeText(`${round} interview: ${personName(candidate)} - ${jobTitle}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${interview.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  const location = interview.location || interview.meetingUrl;
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (interview.meetingUrl) lines.push(`URL:${String(interview.meetingUrl).replace(/[\u0000-\u0020\u007F]/g, '')}`);
+
+  interviewers
+    .filter(interviewer => interviewer && isPlainEmail(interviewer.email))
+    .forEach(interviewer => lines.push(`ATTENDEE;CN="${paramText(interviewer.name)}";ROLE=REQ-PARTICIPANT:mailto:${interviewer.email}`));
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * A complete VCALENDAR document for populated interviews; `name` titles subscribed feeds.
+ */
+const buildCalendar = (interviews, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  interviews.forEach(interview => lines.push(...interviewEvent(interview)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar
+};
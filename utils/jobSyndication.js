@@ -0,0 +1,243 @@
+const { escapeHtml, escapeXml } = require('./escape');
+const { publisherName, publisherUrl, jobUrlTemplate, defaultCountry } = require('../config/syndication');
+
+// Publishing jobs to job boards: a job-board XML feed, an RSS 2.0 feed and schema.org JobPosting JSON-LD
+
+// schema.org employmentType for each Job.jobType
+const EMPLOYMENT_TYPES = {
+  'Full-time': 'FULL_TIME',
+  'Part-time': 'PART_TIME',
+  Contract: 'CONTRACTOR',
+  Freelance: 'CONTRACTOR'
+};
+
+// schema.org QuantitativeValue unitText for each salary period
+const SALARY_UNITS = {
+  hourly: 'HOUR',
+  weekly: 'WEEK',
+  monthly: 'MONTH',
+  yearly: 'YEAR'
+};
+
+// Locations that only say the job is remote
+const REMOTE_ONLY_LOCATION = /^\s*(remote|anywhere|work from home|wfh)\s*$/i;
+
+/**
+ * Mongo filter for jobs that may be published: active, with the deadline still ahead.
+ */
+const publishedJobFilter = (now = new Date()) => ({
+  status: 'active',
+  applicationDeadline: { $gt: now }
+});
+
+const isPublished = (job, now = new Date()) => (
+  job.status === 'active' && new Date(job.applicationDeadline) > now
+);
+
+// Public page of a job; `fallbackBase` is this API's own URL
+const jobUrl = (job, fallbackBase) => (
+  jobUrlTemplate ?
+    jobUrlTemplate.replace('{id}', String(job._id)) :
+    `${fallbackBase}/api/jobs/${job._id}`
+);
+
+/**
+ * Split a free-text location such as "Dallas, TX" or "Pune, MH, IN" into address parts.
+ * Returns null for empty or remote-only locations.
+ */
+const parseLocation = (location) => {
+  if (!location || REMOTE_ONLY_LOCATION.test(location)) return null;
+
+  const [city, region, country] = location.split(',').map(part => part.trim()).filter(Boolean);
+  return {
+    city: city || '',
+    region: region || '',
+    country: country || defaultCountry
+  };
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const htmlList = (title, items) => (
+  items && items.length ?
+    `<h3>${escapeHtml(title)}</h3><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` :
+    ''
+);
+
+/**
+ * Job description as HTML, the form job boards and JobPosting expect: the description's
+ * paragraphs followed by responsibilities, requirements and benefits lists.
+ */
+const descriptionHtml = (job) => [
+  ...String(job.description || '').split(/\r?\n\s*\r?\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\r?\n/g, '<br>')}</p>`),
+  htmlList('Responsibilities', job.responsibilities),
+  htmlList('Requirements', job.requirements),
+  htmlList('Benefits', job.benefits)
+].join('');
+
+// "90000-120000 USD per year"
+const formatSalary = (salary) => (
+  salary ? `${salary.min}-${salary.max} ${salary.currency} per ${SALARY_UNITS[salary.period].toLowerCase()}` : ''
+);
+
+/**
+ * schema.org JobPosting for a job, see https://schema.org/JobPosting and
+ * https://developers.google.com/search/docs/appearance/structured-data/job-posting
+ */
+const toJobPosting = (job, { url }) => {
+  const posting = {
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: descriptionHtml(job),
+    identifier: {
+      '@type': 'PropertyValue',
+      name: job.company.name,
+      value: String(job._id)
+    },
+    datePosted: formatDate(job.publishedAt || job.postedDate),
+    validThrough: new Date(job.applicationDeadline).toISOString(),
+    employmentType: EMPLOYMENT_TYPES[job.jobType],
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: job.company.name,
+      ...(job.company.website && { sameAs: job.company.website }),
+      ...(job.company.logo && { logo: job.company.logo })
+    },
+    url
+  };
+
+  const address = parseLocation(job.location);
+  if (address) {
+    posting.jobLocation = {
+      '@type': 'Place',
+      address: {
+        '@type': 'PostalAddress',
+        addressLocality: address.city,
+        ...(address.region && { addressRegion: address.region }),
+        addressCountry: address.country
+      }
+    };
+  }
+
+  if (job.remote) {
+    posting.jobLocationType = 'TELECOMMUTE';
+    posting.applicantLocationRequirements = {
+      '@type': 'Country',
+      name: address ? address.country : defaultCountry
+    };
+  }
+
+  if (job.salary) {
+    posting.baseSalary = {
+      '@type': 'MonetaryAmount',
+      currency: job.salary.currency,
+      value: {
+        '@type': 'QuantitativeValue',
+        minValue: job.salary.min,
+        maxValue: job.salary.max,
+        unitText: SALARY_UNITS[job.salary.period]
+      }
+    };
+  }
+
+  if (job.requiredSkills && job.requiredSkills.length) posting.skills = job.requiredSkills.join(', ');
+  if (job.experienceLevel) posting.experienceRequirements = job.experienceLevel;
+  if (job.benefits && job.benefits.length) posting.jobBenefits = job.benefits.join(', ');
+  if (job.primaryTechnology) posting.occupationalCategory = job.primaryTechnology;
+
+  return posting;
+};
+
+const element = (name, value) => `<${name}>${escapeXml(value === undefined || value === null ? '' : value)}</${name}>`;
+
+/**
+ * Job-board XML feed in the widely accepted <source><job>...</job></source> layout
+ * (as read by Indeed, ZipRecruiter, Jooble and most aggregators).
+ * `urlFor(job)` returns the public page of a job.
+ */
+const toJobBoardXml = (jobs, { urlFor, now = new Date() }) => {
+  const items = jobs.map(job => {
+    const address = parseLocation(job.location) || { city: '', region: '', country: defaultCountry };
+    return [
+      '  <job>',
+      `    ${element('title', job.title)}`,
+      `    ${element('date', new Date(job.publishedAt || job.postedDate).toUTCString())}`,
+      `    ${element('referencenumber', String(job._id))}`,
+      `    ${element('url', urlFor(job))}`,
+      `    ${element('company', job.company.name)}`,
+      `    ${element('city', address.city)}`,
+      `    ${element('state', address.region)}`,
+      `    ${element('country', address.country)}`,
+      `    ${element('description', descriptionHtml(job))}`,
+      `    ${element('salary', formatSalary(job.salary))}`,
+      `    ${element('jobtype', job.jobType)}`,
+      `    ${element('employmenttype', EMPLOYMENT_TYPES[job.jobType])}`,
+      `    ${element('category', job.primaryTechnology)}`,
+      `    ${element('experience', job.experienceLevel)}`,
+      `    ${element('skills', (job.requiredSkills || []).join(', '))}`,
+      `    ${element('remotetype', job.remote ? 'Fully remote' : '')}`,
+      `    ${element('expirationdate', formatDate(job.applicationDeadline))}`,
+      '  </job>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<source>',
+    `  ${element('publisher', publisherName)}`,
+    ...(publisherUrl ? [`  ${element('publisherurl', publisherUrl)}`] : []),
+    `  ${element('lastBuildDate', now.toUTCString())}`,
+    ...items,
+    '</source>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * RSS 2.0 feed of jobs for feed readers and careers pages.
+ * `feedUrl` is the feed's own address; `urlFor(job)` returns the public page of a job.
+ */
+const toRss = (jobs, { feedUrl, urlFor, now = new Date() }) => {
+  const items = jobs.map(job => {
+    const place = job.remote ? 'Remote' : job.location;
+    return [
+      '    <item>',
+      `      ${element('title', `${job.title} at ${job.company.name}${place ? ` (${place})` : ''}`)}`,
+      `      ${element('link', urlFor(job))}`,
+      `      <guid isPermaLink="false">${escapeXml(`job-${job._id}`)}</guid>`,
+      `      ${element('pubDate', new Date(job.publishedAt || job.postedDate).toUTCString())}`,
+      `      ${element('category', job.primaryTechnology)}`,
+      `      ${element('description', descriptionHtml(job))}`,
+      '    </item>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    ${element('title', `${publisherName} jobs`)}`,
+    `    ${element('link', publisherUrl || feedUrl)}`,
+    `    ${element('description', `Open positions at ${publisherName}`)}`,
+    `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    ${element('lastBuildDate', now.toUTCString())}`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  EMPLOYMENT_TYPES,
+  publishedJobFilter,
+  isPublished,
+  jobUrl,
+  toJobPosting,
+  toJobBoardXml,
+  toRss
+};
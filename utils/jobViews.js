@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobView = require('../models/JobView');
+const { tokenUserId } = require('../middleware/auth');
+const { dedupeWindowMinutes, botPattern, visitorSecret } = require('../config/jobViews');
+
+// Requests without a user agent are scripts, not people
+const isBot = (userAgent) => !userAgent || botPattern.test(userAgent);
+
+// Stable id for whoever is viewing; IP addresses are only stored keyed-hashed
+const visitorId = (userId, req) => crypto.createHmac('sha256', visitorSecret)
+  .update(userId ? `user:${userId}` : `anonymous:${req.ip}|${req.get('user-agent')}`)
+  .digest('hex');
+
+/**
+ * Record a view of a job. Bots are ignored; a visitor's repeat views within the same dedupe
+ * window are stored but don't add to the job's `views`.
+ * Resolves to { recorded, counted }.
+ */
+const recordJobView = async (jobId, req) => {
+  if (isBot(req.get('user-agent'))) return { recorded: false, counted: false };
+
+  const userId = tokenUserId(req);
+  const view = {
+    job: jobId,
+    visitor: visitorId(userId, req),
+    user: userId,
+    viewedAt: new Date(),
+    window: Math.floor(Date.now() / (dedupeWindowMinutes * 60 * 1000))
+  };
+
+  // The unique index on counted views decides which of concurrent views counts
+  try {
+    await JobView.create({ ...view, counted: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    await JobView.create({ ...view, counted: false });
+    return { recorded: true, counted: false };
+  }
+
+  // updateOne skips the audit trail, which ignores views anyway
+  await Job.updateOne({ _id: jobId }, { $inc: { views: 1 } });
+  return { recorded: true, counted: true };
+};
+
+module.exports = {
+  isBot,
+  recordJobView
+};
@@ -0,0 +1,174 @@
+const { escapeRegex } = require('./escape');
+const { textIndexes } = require('../config/search');
+const { searchFilter } = require('./textSearch');
+const { parseSort } = require('./pagination');
+
+// Fields candidate listings, searches and exports can sort on; rates sort by their hourly base-currency value
+const CANDIDATE_SORT_FIELDS = [
+  'name',
+  'yearsOfExp',
+  'technology',
+  'status',
+  'workAuthorization',
+  'currentLocation',
+  'availableFrom',
+  'billRate',
+  'payRate',
+  'createdAt',
+  'updatedAt'
+];
+const CANDIDATE_SORT_PATHS = { billRate: 'rate.normalized.bill', payRate: 'rate.normalized.pay' };
+
+// Case-insensitive exact match, e.g. for skills
+const exactPattern = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// { [field]: { $gte, $lte } } for whichever bounds are given
+const numberRange = (field, min, max) => {
+  if (min === undefined && max === undefined) return {};
+  const range = {};
+  if (min !== undefined) range.$gte = Number(min);
+  if (max !== undefined) range.$lte = Number(max);
+  return { [field]: range };
+};
+
+/**
+ * Mongo filter for the GET /jobs query parameters.
+ * Also used to evaluate saved job searches, so the two always agree.
+ */
+const buildJobQuery = (params = {}) => {
+  const {
+    status,
+    jobType,
+    experienceLevel,
+    primaryTechnology,
+    remote,
+    requiredSkills,
+    location,
+    search,
+    salaryMin,
+    salaryMax
+  } = params;
+
+  const query = {};
+
+  // Add filters only if they are provided
+  if (status) query.status = status;
+  if (jobType) query.jobType = jobType;
+  if (experienceLevel) query.experienceLevel = experienceLevel;
+  if (primaryTechnology) query.primaryTechnology = primaryTechnology;
+  if (remote !== undefined) query.remote = remote;
+
+  // Case-insensitive location search with partial matching
+  if (location) {
+    query.location = { $regex: escapeRegex(location), $options: 'i' };
+  }
+
+  // Full-text search over the job's text index (title, company, skills, description, ...)
+  if (search) {
+    Object.assign(query, searchFilter('Job', search));
+  }
+
+  // Skills filter with case-insensitive partial matching
+  if (requiredSkills) {
+    query.requiredSkills = {
+      $in: splitList(requiredSkills).map(skill => new RegExp(escapeRegex(skill), 'i'))
+    };
+  }
+
+  // Annual pay in the base currency; a job matches if its range reaches into the requested one
+  if (salaryMin !== undefined) query['salary.normalized.max'] = { $gte: Number(salaryMin) };
+  if (salaryMax !== undefined) query['salary.normalized.min'] = { $lte: Number(salaryMax) };
+
+  return query;
+};
+
+// Text-indexed candidate fields searched for each /candidates/search scope
+const candidateSearchFields = (scope = 'profile') => {
+  const fields = Object.keys(textIndexes.Candidate);
+  if (scope === 'resume') return ['resumeText'];
+  if (scope === 'profile') return fields.filter(field => field !== 'resumeText');
+  return fields;
+};
+
+/**
+ * Mongo filter for the GET /candidates filters plus the /candidates/search `q` and `scope`.
+ * Also used to evaluate saved candidate searches.
+ */
+const buildCandidateQuery = (params = {}) => {
+  const {
+    status,
+    technology,
+    skills,
+    skillsMatch = 'any',
+    minExp,
+    maxExp,
+    workAuthorization,
+    location,
+    willingToRelocate,
+    availableBy,
+    billRateMin,
+    billRateMax,
+    payRateMin,
+    payRateMax,
+    q,
+    scope = 'profile'
+  } = params;
+
+  const query = {};
+
+  if (status) query.status = { $in: splitList(status) };
+
+  if (technology) {
+    query.technology = exactPattern(technology.trim());
+  }
+
+  if (skills) {
+    const skillPatterns = splitList(skills).map(exactPattern);
+    query.skills = skillsMatch === 'all' ? { $all: skillPatterns } : { $in: skillPatterns };
+  }
+
+  Object.assign(query, numberRange('yearsOfExp', minExp, maxExp));
+
+  if (workAuthorization) query.workAuthorization = { $in: splitList(workAuthorization) };
+
+  // Case-insensitive partial match, as for job locations
+  if (location) {
+    query.currentLocation = { $regex: escapeRegex(location), $options: 'i' };
+  }
+
+  if (willingToRelocate !== undefined) query.willingToRelocate = willingToRelocate;
+
+  // Candidates who can start by the date; those without an availability date are left out
+  if (availableBy) query.availableFrom = { $lte: new Date(availableBy) };
+
+  // Hourly rates in the base currency
+  Object.assign(query, numberRange('rate.normalized.bill', billRateMin, billRateMax));
+  Object.assign(query, numberRange('rate.normalized.pay', payRateMin, payRateMax));
+
+  if (q) {
+    Object.assign(query, searchFilter('Candidate', q, { fields: candidateSearchFields(scope) }));
+  }
+
+  return query;
+};
+
+/**
+ * Mongo sort for a candidate `sort` value such as "-billRate,name", or `fallback`.
+ */
+const buildCandidateSort = (value, fallback) => {
+  const sort = {};
+  Object.entries(parseSort(value, CANDIDATE_SORT_FIELDS, fallback)).forEach(([field, direction]) => {
+    sort[CANDIDATE_SORT_PATHS[field] || field] = direction;
+  });
+  return sort;
+};
+
+module.exports = {
+  CANDIDATE_SORT_FIELDS,
+  buildJobQuery,
+  buildCandidateQuery,
+  buildCandidateSort,
+  candidateSearchFields
+};
@@ -0,0 +1,100 @@
+// Years-of-experience band for each Job.experienceLevel
+const EXPERIENCE_BANDS = {
+  'Entry Level': { min: 0, max: 2 },
+  'Mid Level': { min: 2, max: 5 },
+  'Senior Level': { min: 5, max: 8 },
+  'Lead': { min: 8, max: 12 },
+  'Manager': { min: 10, max: Infinity }
+};
+
+// How much each part contributes to the overall score
+const WEIGHTS = {
+  skills: 0.5,
+  experience: 0.3,
+  technology: 0.2
+};
+
+// Score lost per year outside the experience band
+const EXPERIENCE_PENALTY_PER_YEAR = 0.25;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Fraction of the job's required skills the candidate has
+const scoreSkills = (candidate, job) => {
+  const required = (job.requiredSkills || []).map(normalize).filter(Boolean);
+  if (required.length === 0) return { score: 1, matched: [], missing: [] };
+
+  const candidateSkills = new Set((candidate.skills || []).map(normalize));
+  const matched = required.filter(skill => candidateSkills.has(skill));
+  const missing = required.filter(skill => !candidateSkills.has(skill));
+
+  return { score: matched.length / required.length, matched, missing };
+};
+
+// 1 inside the band, dropping off linearly the further outside it the candidate is
+const scoreExperience = (candidate, job) => {
+  const band = EXPERIENCE_BANDS[job.experienceLevel];
+  const years = Number(candidate.yearsOfExp) || 0;
+  if (!band) return { score: 0, years, band: null };
+
+  let distance = 0;
+  if (years < band.min) distance = band.min - years;
+  if (years > band.max) distance = years - band.max;
+
+  return {
+    score: Math.max(0, 1 - distance * EXPERIENCE_PENALTY_PER_YEAR),
+    years,
+    band: { level: job.experienceLevel, min: band.min, max: band.max === Infinity ? null : band.max }
+  };
+};
+
+// Full match on primary technology, half if it only appears among the skills
+const scoreTechnology = (candidate, job) => {
+  const jobTech = normalize(job.primaryTechnology);
+  if (!jobTech) return { score: 0, match: 'none' };
+
+  if (normalize(candidate.technology) === jobTech) return { score: 1, match: 'primary' };
+  if ((candidate.skills || []).map(normalize).includes(jobTech)) return { score: 0.5, match: 'skill' };
+  return { score: 0, match: 'none' };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score how well a candidate fits a job.
+ * Returns an overall score from 0 to 100 plus the breakdown it was built from.
+ */
+const scoreMatch = (candidate, job) => {
+  const skills = scoreSkills(candidate, job);
+  const experience = scoreExperience(candidate, job);
+  const technology = scoreTechnology(candidate, job);
+
+  const total = skills.score * WEIGHTS.skills +
+    experience.score * WEIGHTS.experience +
+    technology.score * WEIGHTS.technology;
+
+  return {
+    score: round(total * 100),
+    breakdown: {
+      skills: { ...skills, score: round(skills.score), weight: WEIGHTS.skills },
+      experience: { ...experience, score: round(experience.score), weight: WEIGHTS.experience },
+      technology: { ...technology, score: round(technology.score), weight: WEIGHTS.technology }
+    }
+  };
+};
+
+/**
+ * Score each item against a fixed counterpart and return the top results, best first.
+ * `scoreFn` receives an item and returns the result of scoreMatch.
+ */
+const rankMatches = (items, scoreFn, { limit = 20, minScore = 0 } = {}) => items
+  .map(item => ({ item, ...scoreFn(item) }))
+  .filter(result => result.score >= minScore)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, limit);
+
+module.exports = {
+  EXPERIENCE_BANDS,
+  scoreMatch,
+  rankMatches
+};
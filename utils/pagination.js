@@ -0,0 +1,43 @@
+const MAX_LIMIT = 100;
+
+/**
+ * Read page/limit from the query string, clamped to sane values.
+ */
+const parsePagination = (query, defaultLimit = 10) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * The pagination block returned alongside list results.
+ */
+const buildPagination = (total, { page, limit }) => ({
+  total,
+  page,
+  pages: Math.ceil(total / limit),
+  limit
+});
+
+/**
+ * Turn a `sort` query value such as "-yearsOfExp,name" into a Mongo sort object.
+ * Fields outside `allowed` are ignored; returns `fallback` if nothing usable remains.
+ */
+const parseSort = (value, allowed, fallback) => {
+  if (!value) return fallback;
+
+  const sort = {};
+  String(value).split(',').forEach(part => {
+    const trimmed = part.trim();
+    const field = trimmed.replace(/^-/, '');
+    if (allowed.includes(field)) sort[field] = trimmed.startsWith('-') ? -1 : 1;
+  });
+
+  return Object.keys(sort).length ? sort : fallback;
+};
+
+module.exports = {
+  parsePagination,
+  buildPagination,
+  parseSort
+};
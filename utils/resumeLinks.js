@@ -0,0 +1,37 @@
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('../config/auth');
+const { resumeLinkTtlSeconds } = require('../config/storage');
+
+// Access tokens carry their own audience, so link tokens can't be used to log in, and vice versa
+const AUDIENCE = 'resume-download';
+
+/**
+ * Sign a token for downloading a candidate's current resume without logging in.
+ * The token names the stored file, so replacing or removing the resume invalidates it.
+ */
+const createResumeToken = (candidate) => {
+  const token = jwt.sign(
+    { sub: candidate._id.toString(), file: candidate.resumeFile.path },
+    jwtSecret,
+    { audience: AUDIENCE, expiresIn: resumeLinkTtlSeconds }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + resumeLinkTtlSeconds * 1000)
+  };
+};
+
+// The token's payload, or null when it is invalid or expired
+const verifyResumeToken = (token) => {
+  try {
+    return jwt.verify(token, jwtSecret, { audience: AUDIENCE });
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  createResumeToken,
+  verifyResumeToken
+};
@@ -0,0 +1,82 @@
+// Require the library entry directly; pdf-parse's index runs a debug harness when loaded from some contexts
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const { escapeRegex, escapeHtml } = require('./escape');
+
+const PDF = 'application/pdf';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Characters of context shown either side of a match
+const SNIPPET_RADIUS = 80;
+
+// Collapse whitespace so snippets and regex matching aren't thrown off by layout
+const cleanText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Extract plain text from the contents of a resume file.
+ * Legacy .doc files and unreadable files yield an empty string rather than an error,
+ * so a bad resume never blocks saving the candidate.
+ */
+const extractResumeText = async (buffer, mimetype) => {
+  if (!buffer) return '';
+
+  try {
+    if (mimetype === PDF) {
+      const data = await pdfParse(buffer);
+      return cleanText(data.text);
+    }
+
+    if (mimetype === DOCX) {
+      const result = await mammoth.extractRawText({ buffer });
+      return cleanText(result.value);
+    }
+  } catch (err) {
+    console.error('Error extracting resume text:', err.message);
+  }
+
+  return '';
+};
+
+// Case-insensitive pattern matching any of the terms, preferring the longest
+const termsPattern = (terms) => new RegExp(
+  [...terms].sort((a, b) => b.length - a.length).map(escapeRegex).join('|'),
+  'gi'
+);
+
+/**
+ * Build up to `max` snippets around matches of `terms` (a string or an array of strings)
+ * in `text`, with each match wrapped in <mark></mark>.
+ */
+const buildHighlights = (text, terms, max = 3) => {
+  const list = [].concat(terms || []).filter(Boolean);
+  if (!text || list.length === 0) return [];
+
+  const pattern = termsPattern(list);
+  const snippets = [];
+  let lastEnd = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) && snippets.length < max) {
+    // Skip matches already shown in the previous snippet
+    if (match.index < lastEnd) continue;
+
+    const start = Math.max(0, match.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+    // Escape the resume text itself so only our <mark> tags are HTML
+    const slice = text.slice(start, end);
+    const snippet = escapeHtml(slice).replace(
+      termsPattern(list.map(escapeHtml)),
+      found => `<mark>${found}</mark>`
+    );
+
+    snippets.push(`${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`);
+    lastEnd = end;
+  }
+
+  return snippets;
+};
+
+module.exports = {
+  extractResumeText,
+  buildHighlights
+};
@@ -0,0 +1,60 @@
+const config = require('../config/salary');
+
+// Pay periods in one year
+const PERIODS_PER_YEAR = {
+  yearly: 1,
+  monthly: config.monthsPerYear,
+  weekly: config.weeksPerYear,
+  hourly: config.hoursPerYear
+};
+
+const isSupportedCurrency = (currency) => Boolean(config.exchangeRates[currency]);
+
+// Convert an amount between two configured currencies
+const convertCurrency = (amount, from, to = config.baseCurrency) => (
+  amount * config.exchangeRates[from] / config.exchangeRates[to]
+);
+
+/**
+ * Annual salary range in the base currency for a Job.salary value, rounded to whole units.
+ * Returns null when the currency or period can't be converted.
+ */
+const normalizeSalary = ({ min, max, currency = 'USD', period = 'yearly' } = {}) => {
+  if (!isSupportedCurrency(currency) || !PERIODS_PER_YEAR[period]) return null;
+
+  const annual = (amount) => Math.round(convertCurrency(amount * PERIODS_PER_YEAR[period], currency));
+
+  return {
+    min: annual(min),
+    max: annual(max),
+    currency: config.baseCurrency
+  };
+};
+
+/**
+ * Hourly bill and pay rates in the base currency for a Candidate.rate value, rounded to cents.
+ * Returns null when the currency or period can't be converted.
+ */
+const normalizeRate = ({ bill, pay, currency = config.baseCurrency, period = 'hourly' } = {}) => {
+  if (!isSupportedCurrency(currency) || !PERIODS_PER_YEAR[period]) return null;
+
+  const hourly = (amount) => {
+    if (amount === undefined || amount === null) return null;
+    const value = convertCurrency(amount * PERIODS_PER_YEAR[period] / config.hoursPerYear, currency);
+    return Math.round(value * 100) / 100;
+  };
+
+  return {
+    bill: hourly(bill),
+    pay: hourly(pay),
+    currency: config.baseCurrency
+  };
+};
+
+module.exports = {
+  PERIODS: Object.keys(PERIODS_PER_YEAR),
+  isSupportedCurrency,
+  convertCurrency,
+  normalizeSalary,
+  normalizeRate
+};
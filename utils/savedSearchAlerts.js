@@ -0,0 +1,60 @@
+const SavedSearch = require('../models/SavedSearch');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const { STAFF_ROLES } = require('../middleware/auth');
+const { buildJobQuery, buildCandidateQuery } = require('./listQueries');
+
+const QUERY_BUILDERS = {
+  job: buildJobQuery,
+  candidate: buildCandidateQuery
+};
+
+const TITLES = {
+  job: job => `${job.title} at ${job.company && job.company.name}`,
+  candidate: candidate => `${candidate.name} (${candidate.technology})`
+};
+
+// Conditions added for owners who aren't staff, who may only see active jobs (as in GET /jobs)
+const PUBLIC_CONDITIONS = {
+  job: { status: 'active' }
+};
+
+/**
+ * Check a newly created or updated document against every saved search of its type,
+ * and record an alert for each search it newly matches.
+ */
+const evaluateSavedSearches = async (entityType, doc) => {
+  const searches = await SavedSearch.find({ entityType, alertsEnabled: true }).lean();
+  const buildQuery = QUERY_BUILDERS[entityType];
+
+  const publicConditions = PUBLIC_CONDITIONS[entityType];
+  const staffIds = new Set(publicConditions ?
+    (await User.find({ _id: { $in: searches.map(search => search.user) }, role: { $in: STAFF_ROLES } }).distinct('_id')).map(String) :
+    []);
+
+  for (const search of searches) {
+    const conditions = [buildQuery(search.params), { _id: doc._id }];
+    if (publicConditions && !staffIds.has(String(search.user))) conditions.push(publicConditions);
+
+    const matches = await doc.constructor.exists({ $and: conditions });
+    if (!matches) continue;
+
+    // Upsert so a match already alerted on isn't reported again
+    await Alert.updateOne(
+      { savedSearch: search._id, entityId: doc._id },
+      {
+        $setOnInsert: {
+          user: search.user,
+          entityType,
+          title: TITLES[entityType](doc),
+          createdAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = {
+  evaluateSavedSearches
+};
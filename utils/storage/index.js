@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../../config/storage');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+/**
+ * File storage used for resumes. Every backend implements:
+ *   put(key, buffer, { contentType })  store a file
+ *   get(key)                           { stream, size } or null when the file is missing
+ *   remove(key)                        delete a file; missing files are not an error
+ */
+const BACKENDS = {
+  local: () => createLocalStorage(config.local),
+  s3: () => createS3Storage(config.s3)
+};
+
+if (!BACKENDS[config.driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER '${config.driver}'; expected one of ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+const storage = BACKENDS[config.driver]();
+
+// Random keys, so stored files can't be found by guessing names
+const generateKey = (originalname) => (
+  crypto.randomBytes(16).toString('hex') + path.extname(originalname || '').toLowerCase()
+);
+
+// Read a whole file into memory, e.g. to extract text from it
+const readFile = async (key) => {
+  const file = await storage.get(key);
+  if (!file) return null;
+
+  const chunks = [];
+  for await (const chunk of file.stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Delete a file, logging (not throwing) on failure
+const removeQuietly = (key) => {
+  if (!key) return;
+  storage.remove(key).catch(err => console.error(`Error deleting file ${key}:`, err));
+};
+
+module.exports = {
+  ...storage,
+  generateKey,
+  readFile,
+  removeQuietly
+};
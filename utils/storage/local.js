@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Store files in a directory on local disk.
+ */
+const createLocalStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+  fs.mkdirSync(root, { recursive: true });
+
+  // Keys are flat file names. Candidates saved before storage backends existed
+  // recorded 'uploads/<file>', which resolves to the same file. Taking the
+  // basename also keeps a key from pointing outside the directory.
+  const resolve = (key) => path.join(root, path.basename(key));
+
+  return {
+    put: async (key, buffer) => {
+      await fs.promises.writeFile(resolve(key), buffer);
+    },
+
+    get: async (key) => {
+      const filePath = resolve(key);
+      try {
+        const { size } = await fs.promises.stat(filePath);
+        return { stream: fs.createReadStream(filePath), size };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,54 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Store files in an S3 bucket. Works with any S3-compatible service through `endpoint`.
+ */
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { stream: object.Body, size: object.ContentLength };
+      } catch (err) {
+        if (err.name === 'NoSuchKey') return null;
+        throw err;
+      }
+    },
+
+    // S3 deletes succeed whether or not the object exists
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    }
+  };
+};
+
+module.exports = {
+  createS3Storage
+};
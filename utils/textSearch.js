@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const { textIndexes, maxTerms } = require('../config/search');
+const { escapeRegex } = require('./escape');
+
+// Words the text index can look up as they are; others (C++, .NET, node.js) are matched literally
+const PLAIN_WORD = /^[\p{L}\p{N}]+$/u;
+const ALPHANUMERIC = /[A-Za-z0-9]/;
+
+// Keeps a term from matching in the middle of a word ("java" shouldn't match "javascript" as a suffix)
+const WORD_START = '(?<![A-Za-z0-9])';
+const WORD_END = '(?![A-Za-z0-9])';
+
+/**
+ * Arguments for schema.index() that build a model's text index from config/search.js.
+ */
+const textIndex = (modelName) => {
+  const weights = textIndexes[modelName];
+  const fields = Object.fromEntries(Object.keys(weights).map(field => [field, 'text']));
+  return [fields, { weights, name: 'text_search' }];
+};
+
+/**
+ * Split a query into terms:
+ *   "quoted phrase"  the words in this order
+ *   jav*             words starting with "jav"
+ *   C++, .NET        matched literally, since the text index drops the punctuation
+ *   anything else    a word, looked up through the text index (with stemming)
+ */
+const parseQuery = (q) => {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(q || ''))) && terms.length < maxTerms) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim();
+      if (phrase) terms.push({ type: 'phrase', value: phrase });
+      continue;
+    }
+
+    const word = match[2].replace(/"/g, '');
+    if (!ALPHANUMERIC.test(word) && !PLAIN_WORD.test(word)) continue;
+
+    if (word.endsWith('*')) {
+      const prefix = word.replace(/\*+$/, '');
+      if (prefix) terms.push({ type: 'prefix', value: prefix });
+    } else {
+      terms.push({ type: PLAIN_WORD.test(word) ? 'word' : 'literal', value: word });
+    }
+  }
+
+  return terms;
+};
+
+const usesTextIndex = (term) => term.type === 'word' || term.type === 'phrase';
+
+// Regex source for a term; words and prefixes only need to start at a word boundary
+const termPattern = (term) => {
+  const escaped = escapeRegex(term.value);
+  const start = ALPHANUMERIC.test(term.value[0]) ? WORD_START : '';
+  const end = (term.type === 'literal' || term.type === 'phrase') && ALPHANUMERIC.test(term.value.slice(-1)) ?
+    WORD_END :
+    '';
+  return `${start}${escaped}${end}`;
+};
+
+// Matches documents where any of `fields` matches the term
+const termCondition = (term, fields) => ({
+  $or: fields.map(field => ({ [field]: { $regex: termPattern(term), $options: 'i' } }))
+});
+
+// Endings dropped to find a word's stem, longest first; an approximation of the text index's stemming
+const WORD_ENDINGS = ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ers', 'ies', 'er', 'es', 'ed', 'ly', 's'];
+const MIN_STEM_LENGTH = 3;
+
+const stem = (word) => {
+  const lower = word.toLowerCase();
+  const ending = WORD_ENDINGS.find(suffix => lower.endsWith(suffix) && lower.length - suffix.length >= MIN_STEM_LENGTH);
+  return ending ? lower.slice(0, -ending.length) : lower;
+};
+
+// Words are checked per field by their stem as a prefix, so "developers" still finds "developer"
+const fieldTerm = (term) => (term.type === 'word' ? { type: 'prefix', value: stem(term.value) } : term);
+
+const quote = (term) => (term.type === 'phrase' ? `"${term.value.replace(/"/g, '')}"` : term.value);
+
+/**
+ * Mongo filter for a search query over a model's text-indexed fields, or over `fields`
+ * (a subset of them) when given.
+ *
+ * Words and phrases go through the text index; prefixes and literal terms must all match
+ * one of the fields. A query with no usable terms matches nothing.
+ */
+const searchFilter = (modelName, q, { fields } = {}) => {
+  const indexFields = Object.keys(textIndexes[modelName]);
+  const searchFields = fields || indexFields;
+  const terms = parseQuery(q);
+
+  if (terms.length === 0) return { _id: { $in: [] } };
+
+  const textTerms = terms.filter(usesTextIndex);
+  const otherTerms = terms.filter(term => !usesTextIndex(term));
+  const conditions = otherTerms.map(term => termCondition(term, searchFields));
+  const filter = {};
+
+  if (textTerms.length > 0) {
+    filter.$text = { $search: textTerms.map(quote).join(' ') };
+
+    // The text index covers every field; check that a word appears in the requested ones
+    if (searchFields.length < indexFields.length) {
+      conditions.push({ $or: textTerms.flatMap(term => termCondition(fieldTerm(term), searchFields).$or) });
+    }
+  }
+
+  if (conditions.length > 0) filter.$and = conditions;
+  return filter;
+};
+
+// Weight of every field a term matches, for ranking terms the text index doesn't score
+const termScore = (term, fields, weights) => ({
+  $add: fields.map(field => {
+    const regexMatch = (input) => ({ $regexMatch: { input, regex: termPattern(term), options: 'i' } });
+    const value = `$${field}`;
+
+    return {
+      $cond: [
+        {
+          $cond: [
+            { $isArray: value },
+            { $anyElementTrue: [{ $map: { input: value, as: 'item', in: regexMatch('$$item') } }] },
+            regexMatch({ $ifNull: [value, ''] })
+          ]
+        },
+        weights[field],
+        0
+      ]
+    };
+  })
+});
+
+/**
+ * Run a relevance-ranked search on a model and return one page of results with the total.
+ * Each result has a `score`: the text index score for words and phrases plus, for prefixes
+ * and literal terms, the weight of each field they match.
+ *
+ * Options: `fields` (subset of the text-indexed fields), `filter` (extra conditions),
+ * `sort` (ordered before relevance), `skip`, `limit`, `stages` (run on the page of results,
+ * e.g. lookups) and `project` (a $project stage for the returned documents).
+ */
+const textSearch = async (modelName, q, { fields, filter = {}, sort = {}, skip = 0, limit = 10, stages = [], project = { __v: 0 } } = {}) => {
+  const weights = textIndexes[modelName];
+  const searchFields = fields || Object.keys(weights);
+  const terms = parseQuery(q);
+
+  const search = searchFilter(modelName, q, { fields });
+  const match = { ...filter, ...search };
+  if (filter.$and && search.$and) match.$and = [...filter.$and, ...search.$and];
+
+  const scores = terms
+    .filter(term => !usesTextIndex(term))
+    .map(term => termScore(term, searchFields, weights));
+  if (search.$text) scores.push({ $meta: 'textScore' });
+
+  const [result] = await mongoose.model(modelName).aggregate([
+    { $match: match },
+    { $addFields: { score: scores.length ? { $add: scores } : 0 } },
+    { $sort: { ...sort, score: -1, _id: 1 } },
+    {
+      $facet: {
+        results: [{ $skip: skip }, { $limit: limit }, ...stages, { $project: project }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    results: result.results,
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
+module.exports = {
+  textIndex,
+  parseQuery,
+  searchFilter,
+  textSearch
+};
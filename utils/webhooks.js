@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { maxAttempts, retryBaseSeconds, timeoutMs } = require('../config/webhooks');
+
+const RESPONSE_BODY_LIMIT = 1000;
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret.
+ * Receivers recompute it from the X-Webhook-Timestamp header and the raw body.
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Claim a due delivery so the retry sweeper and an immediate attempt never send it twice
+const claimDelivery = (deliveryId) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + timeoutMs * 2) },
+    { new: true }
+  );
+};
+
+/**
+ * Send one delivery and record the outcome. Failures are rescheduled with exponential
+ * backoff until maxAttempts, then marked failed.
+ */
+const attemptDelivery = async (deliveryId) => {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  if (!subscription) {
+    delivery.status = 'failed';
+    delivery.error = 'Subscription no longer exists';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'candidate-hotlist-api-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+    delivery.error = response.ok ? null : `Receiver responded with ${response.status}`;
+  } catch (err) {
+    delivery.responseStatus = null;
+    delivery.responseBody = null;
+    delivery.error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message;
+  }
+
+  if (!delivery.error) {
+    delivery.status = 'succeeded';
+  } else if (delivery.attempts >= maxAttempts) {
+    delivery.status = 'failed';
+  } else {
+    const delaySeconds = retryBaseSeconds * 2 ** (delivery.attempts - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  return delivery.save();
+};
+
+/**
+ * Queue `event` for every active subscription listening to it and try each delivery right away.
+ * Never throws: webhook problems must not break the request that triggered the event.
+ */
+const emitEvent = async (event, data) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({
+      active: true,
+      events: { $in: [event, '*'] }
+    }).select('_id').lean();
+    if (subscriptions.length === 0) return;
+
+    const payload = {
+      event,
+      occurredAt: new Date().toISOString(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscription: subscription._id,
+      event,
+      payload
+    })));
+
+    await Promise.all(deliveries.map(delivery => attemptDelivery(delivery._id)));
+  } catch (err) {
+    console.error(`Error delivering webhook event ${event}:`, err.message);
+  }
+};
+
+/**
+ * Queue a fresh copy of an earlier delivery (same event and payload) and send it now.
+ */
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    subscription: delivery.subscription,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  });
+  return attemptDelivery(copy._id);
+};
+
+/**
+ * Retry every pending delivery whose next attempt is due. Used by the retry task.
+ */
+const retryDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .select('_id')
+    .limit(100)
+    .lean();
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery._id);
+  }
+  return due.length;
+};
+
+module.exports = {
+  signPayload,
+  emitEvent,
+  redeliver,
+  retryDueDeliveries
+};
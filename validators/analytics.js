@@ -0,0 +1,56 @@
+const Job = require('../models/Job');
+const { Joi, objectId } = require('../middleware/validate');
+
+const dateRange = {
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('from')).messages({ 'date.min': 'to must not be before from' })
+  })
+};
+
+// Time series are built bucket by bucket in memory, so the span each request may cover is capped
+const MAX_SERIES_DAYS = { day: 366, week: 5 * 366, month: 20 * 366 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reject from/to ranges longer than the cap for the interval; a missing `to` means now
+const limitSeriesSpan = (defaultInterval) => (value, helpers) => {
+  if (!value.from) return value;
+
+  const interval = value.interval || defaultInterval;
+  const days = ((value.to || new Date()).getTime() - value.from.getTime()) / DAY_MS;
+  return days > MAX_SERIES_DAYS[interval] ?
+    helpers.message(`from and to may be at most ${MAX_SERIES_DAYS[interval]} days apart for interval ${interval}`) :
+    value;
+};
+
+module.exports = {
+  jobFunnel: {
+    query: Joi.object({
+      ...dateRange,
+      status: Joi.string().valid(...Job.schema.path('status').enumValues),
+      sort: Joi.string().valid('views', 'applications', 'conversionRate', 'postedDate'),
+      limit: Joi.number().integer().min(1).max(100)
+    })
+  },
+
+  dateRange: {
+    query: Joi.object(dateRange)
+  },
+
+  jobViews: {
+    query: Joi.object({
+      ...dateRange,
+      interval: Joi.string().valid('day', 'week', 'month'),
+      job: objectId(),
+      limit: Joi.number().integer().min(1).max(100)
+    }).custom(limitSeriesSpan('day'))
+  },
+
+  timeSeries: {
+    query: Joi.object({
+      ...dateRange,
+      interval: Joi.string().valid('day', 'week', 'month')
+    }).custom(limitSeriesSpan('week'))
+  }
+};
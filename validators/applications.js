@@ -0,0 +1,22 @@
+const Application = require('../models/Application');
+const { Joi, idParams } = require('../middleware/validate');
+
+const stage = Joi.string().valid(...Application.STAGES);
+
+module.exports = {
+  idParams,
+
+  list: {
+    params: idParams,
+    query: Joi.object({
+      stage
+    })
+  },
+
+  moveStage: {
+    params: idParams,
+    body: Joi.object({
+      stage: stage.required()
+    })
+  }
+};
@@ -0,0 +1,12 @@
+const { Joi, idParams } = require('../middleware/validate');
+
+module.exports = {
+  idParams,
+
+  list: {
+    query: Joi.object({
+      page: Joi.number().integer().min(1),
+      limit: Joi.number().integer().min(1).max(100)
+    })
+  }
+};
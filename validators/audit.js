@@ -0,0 +1,31 @@
+const AuditLog = require('../models/AuditLog');
+const { Joi, objectId, idParams } = require('../middleware/validate');
+
+const page = Joi.number().integer().min(1);
+const limit = Joi.number().integer().min(1).max(100);
+
+module.exports = {
+  history: {
+    params: idParams,
+    query: Joi.object({
+      page,
+      limit
+    })
+  },
+
+  search: {
+    query: Joi.object({
+      entityType: Joi.string().valid(...AuditLog.schema.path('entityType').enumValues),
+      entityId: objectId(),
+      actor: objectId(),
+      action: Joi.string().valid(...AuditLog.schema.path('action').enumValues),
+      from: Joi.date().iso(),
+      to: Joi.date().iso().when('from', {
+        is: Joi.exist(),
+        then: Joi.date().min(Joi.ref('from')).messages({ 'date.min': 'to must not be before from' })
+      }),
+      page,
+      limit
+    })
+  }
+};
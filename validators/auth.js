@@ -0,0 +1,43 @@
+const { ROLES } = require('../config/auth');
+const { Joi, idParams } = require('../middleware/validate');
+
+const password = Joi.string().min(8).max(128);
+const refreshToken = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+module.exports = {
+  login: {
+    body: Joi.object({
+      email: Joi.string().trim().required(),
+      password: Joi.string().required()
+    })
+  },
+
+  refresh: {
+    body: refreshToken
+  },
+
+  logout: {
+    body: refreshToken
+  },
+
+  createUser: {
+    body: Joi.object({
+      name: Joi.string().trim().required(),
+      email: Joi.string().trim().lowercase().email().required(),
+      password: password.required(),
+      role: Joi.string().valid(...ROLES)
+    })
+  },
+
+  updateUser: {
+    params: idParams,
+    body: Joi.object({
+      name: Joi.string().trim(),
+      role: Joi.string().valid(...ROLES),
+      active: Joi.boolean(),
+      password
+    }).min(1)
+  }
+};
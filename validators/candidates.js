@@ -0,0 +1,171 @@
+const Candidate = require('../models/Candidate');
+const { exchangeRates } = require('../config/salary');
+const { PERIODS } = require('../utils/salary');
+const { Joi, objectId, stringList, idParams } = require('../middleware/validate');
+
+const STATUSES = Candidate.schema.path('status').enumValues;
+const { WORK_AUTHORIZATIONS } = Candidate;
+
+// A comma-separated list of values from `allowed`
+const enumList = (name, allowed) => Joi.string().custom((value, helpers) => {
+  const invalid = value.split(',').map(item => item.trim()).filter(item => !allowed.includes(item));
+  return invalid.length ? helpers.message(`${name} must be one of: ${allowed.join(', ')}`) : value;
+});
+
+// A min/max pair of query parameters where max must not be below min
+const range = (min, max, schema = Joi.number().min(0)) => ({
+  [min]: schema,
+  [max]: schema.when(min, {
+    is: Joi.exist(),
+    then: schema.min(Joi.ref(min)).messages({ 'number.min': `${max} must not be less than ${min}` })
+  })
+});
+
+const rate = Joi.object({
+  bill: Joi.number().min(0).allow(null),
+  pay: Joi.number().min(0).allow(null),
+  currency: Joi.string().trim().uppercase().valid(...Object.keys(exchangeRates)),
+  period: Joi.string().valid(...PERIODS)
+}).custom((value, helpers) => (
+  typeof value.bill === 'number' && typeof value.pay === 'number' && value.pay > value.bill ?
+    helpers.message('rate.pay must not be more than rate.bill') :
+    value
+)).allow(null);
+
+const page = Joi.number().integer().min(1);
+const limit = Joi.number().integer().min(1).max(100);
+
+const candidateFields = {
+  name: Joi.string().trim().min(1),
+  email: Joi.string().trim().lowercase().email(),
+  phone: Joi.string().trim().pattern(/^\+?[0-9\s().-]{7,20}$/).allow('', null)
+    .messages({ 'string.pattern.base': 'phone must be a phone number' }),
+  yearsOfExp: Joi.number().min(0).max(70),
+  technology: Joi.string().trim().min(1),
+  skills: stringList(),
+  workAuthorization: Joi.string().valid(...WORK_AUTHORIZATIONS).allow(null),
+  currentLocation: Joi.string().trim().max(200).allow(''),
+  willingToRelocate: Joi.boolean(),
+  availableFrom: Joi.date().iso().allow(null),
+  rate,
+  avatar: Joi.string().trim().uri(),
+  status: Joi.string().valid(...STATUSES)
+};
+
+// `experience` was a second years-of-experience field; it is still accepted as another name for yearsOfExp
+const acceptExperience = (schema) => schema
+  .rename('experience', 'yearsOfExp', { ignoreUndefined: true })
+  .messages({ 'object.rename.override': 'Send yearsOfExp or experience, not both' });
+
+// Creating or fully replacing a candidate needs name and email
+const candidateBody = acceptExperience(Joi.object({
+  ...candidateFields,
+  name: candidateFields.name.required(),
+  email: candidateFields.email.required()
+}));
+
+// Filters shared by GET /candidates, /candidates/search, saved searches and hotlist exports
+const listFilters = {
+  status: enumList('status', STATUSES),
+  technology: Joi.string().trim(),
+  skills: Joi.string().trim(),
+  skillsMatch: Joi.string().valid('any', 'all'),
+  ...range('minExp', 'maxExp'),
+  workAuthorization: enumList('workAuthorization', WORK_AUTHORIZATIONS),
+  location: Joi.string().trim().max(200),
+  willingToRelocate: Joi.boolean(),
+  availableBy: Joi.date().iso(),
+  ...range('billRateMin', 'billRateMax'),
+  ...range('payRateMin', 'payRateMax')
+};
+
+module.exports = {
+  idParams,
+  listFilters,
+
+  list: {
+    query: Joi.object({
+      ...listFilters,
+      sort: Joi.string(),
+      page,
+      limit
+    })
+  },
+
+  search: {
+    query: Joi.object({
+      q: Joi.string().trim().max(200).required(),
+      scope: Joi.string().valid('profile', 'resume', 'all'),
+      ...listFilters,
+      sort: Joi.string(),
+      page,
+      limit
+    })
+  },
+
+  recommendedJobs: {
+    params: idParams,
+    query: Joi.object({
+      minScore: Joi.number().min(0).max(100),
+      limit
+    })
+  },
+
+  create: {
+    body: candidateBody
+  },
+
+  import: {
+    body: Joi.object({
+      dryRun: Joi.boolean(),
+      upsert: Joi.boolean(),
+      columns: Joi.string().custom((value, helpers) => {
+        try {
+          const columns = JSON.parse(value);
+          if (columns && typeof columns === 'object' && !Array.isArray(columns)) return columns;
+        } catch (err) {
+          // Reported below
+        }
+        return helpers.message('columns must be a JSON object');
+      })
+    })
+  },
+
+  replace: {
+    params: idParams,
+    body: candidateBody
+  },
+
+  update: {
+    params: idParams,
+    body: acceptExperience(Joi.object(candidateFields).min(1))
+  },
+
+  duplicates: {
+    query: Joi.object({
+      minScore: Joi.number().min(0).max(100),
+      limit
+    })
+  },
+
+  candidateDuplicates: {
+    params: idParams,
+    query: Joi.object({
+      minScore: Joi.number().min(0).max(100),
+      limit
+    })
+  },
+
+  merge: {
+    params: idParams,
+    body: Joi.object({
+      mergeIds: Joi.array().items(objectId()).min(1).unique().required()
+    })
+  },
+
+  resumeDownload: {
+    params: Joi.object({
+      token: Joi.string().required()
+    })
+  }
+};
@@ -0,0 +1,39 @@
+const { SHAREABLE_FIELDS, fieldProfiles, maxExpiryDays } = require('../config/sharing');
+const { Joi, objectId, idParams } = require('../middleware/validate');
+
+const shareParams = Joi.object({
+  id: objectId().required(),
+  shareId: objectId().required()
+});
+
+module.exports = {
+  idParams,
+
+  create: {
+    params: idParams,
+    body: Joi.object({
+      label: Joi.string().trim().max(200).allow(''),
+      profile: Joi.string().valid(...Object.keys(fieldProfiles)),
+      fields: Joi.array().items(Joi.string().valid(...SHAREABLE_FIELDS)).min(1).unique(),
+      expiresInDays: Joi.number().integer().min(1).max(maxExpiryDays)
+    }).oxor('profile', 'fields')
+  },
+
+  revoke: {
+    params: shareParams
+  },
+
+  accesses: {
+    params: shareParams,
+    query: Joi.object({
+      page: Joi.number().integer().min(1),
+      limit: Joi.number().integer().min(1).max(100)
+    })
+  },
+
+  shared: {
+    params: Joi.object({
+      token: Joi.string().required()
+    })
+  }
+};
@@ -0,0 +1,75 @@
+const { Joi, objectId, idParams } = require('../middleware/validate');
+const candidateSchemas = require('./candidates');
+const { EXPORT_COLUMNS, parseColumns } = require('../utils/hotlistExport');
+
+const candidateIds = Joi.array().items(objectId());
+
+module.exports = {
+  idParams,
+
+  list: {
+    query: Joi.object({
+      candidates: Joi.string().valid('full', 'count'),
+      sort: Joi.string(),
+      page: Joi.number().integer().min(1),
+      limit: Joi.number().integer().min(1).max(100)
+    })
+  },
+
+  search: {
+    query: Joi.object({
+      q: Joi.string().trim().max(200).required(),
+      page: Joi.number().integer().min(1),
+      limit: Joi.number().integer().min(1).max(100)
+    })
+  },
+
+  export: {
+    params: idParams,
+    query: Joi.object({
+      format: Joi.string().valid('csv', 'html').default('csv'),
+      columns: Joi.string().custom((value, helpers) => {
+        const { columns, unknown } = parseColumns(value);
+        if (unknown.length > 0 || columns.length === 0) {
+          return helpers.message(`columns must be chosen from: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+        }
+        return value;
+      }),
+      redact: Joi.boolean().default(false),
+      ...candidateSchemas.listFilters,
+      sort: Joi.string()
+    })
+  },
+
+  create: {
+    body: Joi.object({
+      name: Joi.string().trim().required(),
+      description: Joi.string().allow(''),
+      candidates: candidateIds
+    })
+  },
+
+  update: {
+    params: idParams,
+    body: Joi.object({
+      name: Joi.string().trim(),
+      description: Joi.string().allow('')
+    }).min(1)
+  },
+
+  // Either a single candidateId or a candidateIds array
+  membership: {
+    params: idParams,
+    body: Joi.object({
+      candidateId: objectId(),
+      candidateIds: candidateIds.min(1)
+    }).or('candidateId', 'candidateIds').messages({ 'object.missing': 'candidateId or candidateIds is required' })
+  },
+
+  reorder: {
+    params: idParams,
+    body: Joi.object({
+      candidateIds: candidateIds.required()
+    })
+  }
+};
@@ -0,0 +1,101 @@
+const Interview = require('../models/Interview');
+const { Joi, objectId, idParams } = require('../middleware/validate');
+
+// An ISO 8601 date-time with an explicit offset, so the instant never depends on the server's zone
+const instant = Joi.string().custom((value, helpers) => {
+  const date = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:\d{2})$/i.test(value) || Number.isNaN(date.getTime())) {
+    return helpers.message('{{#label}} must be a date-time with a UTC offset, e.g. 2026-11-02T15:00:00Z');
+  }
+  return date.toISOString();
+});
+
+const timeZone = Joi.string().trim().custom((value, helpers) => (
+  Interview.isTimeZone(value) ? value : helpers.message('timeZone must be an IANA time zone such as America/Chicago')
+));
+
+const interviewFields = {
+  candidate: objectId(),
+  job: objectId(),
+  interviewers: Joi.array().items(objectId()).min(1).unique(),
+  round: Joi.string().valid(...Interview.ROUNDS),
+  startsAt: instant,
+  endsAt: instant,
+  timeZone,
+  location: Joi.string().trim().max(500).allow(''),
+  meetingUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).allow(''),
+  notes: Joi.string().max(5000).allow(''),
+  // Save even if the slot overlaps another interview of the candidate or an interviewer
+  ignoreConflicts: Joi.boolean()
+};
+
+const endsAfterStart = (value, helpers) => (
+  value.startsAt && value.endsAt && new Date(value.endsAt) <= new Date(value.startsAt) ?
+    helpers.message('endsAt must be after startsAt') :
+    value
+);
+
+module.exports = {
+  idParams,
+
+  list: {
+    query: Joi.object({
+      candidate: objectId(),
+      job: objectId(),
+      interviewer: objectId(),
+      status: Joi.string().valid(...Interview.STATUSES),
+      from: Joi.date().iso(),
+      to: Joi.date().iso().when('from', {
+        is: Joi.exist(),
+        then: Joi.date().min(Joi.ref('from')).messages({ 'date.min': 'to must not be before from' })
+      }),
+      page: Joi.number().integer().min(1),
+      limit: Joi.number().integer().min(1).max(100)
+    })
+  },
+
+  create: {
+    body: Joi.object({
+      ...interviewFields,
+      candidate: interviewFields.candidate.required(),
+      job: interviewFields.job.required(),
+      interviewers: interviewFields.interviewers.required(),
+      round: interviewFields.round.required(),
+      startsAt: interviewFields.startsAt.required(),
+      endsAt: interviewFields.endsAt.required(),
+      timeZone: interviewFields.timeZone.required()
+    }).custom(endsAfterStart)
+  },
+
+  // The candidate and job are fixed; schedule a new interview for another pairing
+  update: {
+    params: idParams,
+    body: Joi.object({
+      interviewers: interviewFields.interviewers,
+      round: interviewFields.round,
+      startsAt: interviewFields.startsAt,
+      endsAt: interviewFields.endsAt,
+      timeZone: interviewFields.timeZone,
+      location: interviewFields.location,
+      meetingUrl: interviewFields.meetingUrl,
+      notes: interviewFields.notes,
+      status: Joi.string().valid('scheduled', 'cancelled', 'no_show'),
+      ignoreConflicts: interviewFields.ignoreConflicts
+    }).min(1).custom(endsAfterStart)
+  },
+
+  feedback: {
+    params: idParams,
+    body: Joi.object({
+      outcome: Joi.string().valid(...Interview.OUTCOMES).required(),
+      rating: Joi.number().integer().min(1).max(5).allow(null),
+      notes: Joi.string().max(5000).allow('')
+    })
+  },
+
+  calendarFeed: {
+    params: Joi.object({
+      token: Joi.string().required()
+    })
+  }
+};
@@ -0,0 +1,96 @@
+const Job = require('../models/Job');
+const { exchangeRates } = require('../config/salary');
+const { Joi, objectId, stringList, idParams } = require('../middleware/validate');
+
+const enumOf = (path) => Job.schema.path(path).enumValues;
+
+const page = Joi.number().integer().min(1);
+const limit = Joi.number().integer().min(1).max(100);
+
+module.exports = {
+  idParams,
+
+  list: {
+    query: Joi.object({
+      status: Joi.string().valid(...enumOf('status')),
+      jobType: Joi.string().valid(...enumOf('jobType')),
+      experienceLevel: Joi.string().valid(...enumOf('experienceLevel')),
+      primaryTechnology: Joi.string().trim(),
+      remote: Joi.boolean(),
+      requiredSkills: Joi.string().trim(),
+      location: Joi.string().trim(),
+      search: Joi.string().trim().max(200),
+      salaryMin: Joi.number().min(0),
+      salaryMax: Joi.number().min(0).when('salaryMin', {
+        is: Joi.exist(),
+        then: Joi.number().min(Joi.ref('salaryMin')).messages({ 'number.min': 'salaryMax must not be less than salaryMin' })
+      }),
+      sort: Joi.string(),
+      page,
+      limit
+    })
+  },
+
+  matches: {
+    params: idParams,
+    query: Joi.object({
+      status: Joi.string().trim(),
+      minScore: Joi.number().min(0).max(100),
+      limit
+    })
+  },
+
+  create: {
+    body: Joi.object({
+      title: Joi.string().trim().required(),
+      company: Joi.object({
+        name: Joi.string().trim().required(),
+        website: Joi.string().trim().uri(),
+        logo: Joi.string().trim().uri()
+      }).required(),
+      description: Joi.string().required(),
+      requirements: stringList().default([]),
+      responsibilities: stringList().default([]),
+      jobType: Joi.string().valid(...enumOf('jobType')).required(),
+      experienceLevel: Joi.string().valid(...enumOf('experienceLevel')).required(),
+      location: Joi.string().trim().required(),
+      remote: Joi.boolean(),
+      salary: Joi.object({
+        min: Joi.number().min(0).required(),
+        max: Joi.number().min(Joi.ref('min')).required().messages({ 'number.min': 'salary.max must not be less than salary.min' }),
+        currency: Joi.string().trim().uppercase().valid(...Object.keys(exchangeRates)),
+        period: Joi.string().valid(...Job.schema.path('salary').schema.path('period').enumValues)
+      }).required(),
+      primaryTechnology: Joi.string().trim().required(),
+      requiredSkills: stringList().default([]),
+      benefits: stringList().default([]),
+      // New jobs start as a draft or go straight to active; closing comes later
+      status: Joi.string().valid('draft', 'active'),
+      applicationDeadline: Joi.date().iso().required().when('status', {
+        is: 'active',
+        then: Joi.date().greater('now').messages({ 'date.greater': 'applicationDeadline must be in the future to publish a job' })
+      })
+    })
+  },
+
+  publish: {
+    params: idParams,
+    body: Joi.object({
+      applicationDeadline: Joi.date().iso().greater('now')
+    })
+  },
+
+  close: {
+    params: idParams,
+    body: Joi.object({
+      reason: Joi.string().trim().max(500)
+    })
+  },
+
+  apply: {
+    params: idParams,
+    body: Joi.object({
+      candidateId: objectId().required()
+    })
+  }
+};
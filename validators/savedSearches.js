@@ -0,0 +1,52 @@
+const { Joi, objectId, idParams } = require('../middleware/validate');
+const jobSchemas = require('./jobs');
+const candidateSchemas = require('./candidates');
+
+// The same parameters the list endpoints accept
+const paramsSchemas = {
+  job: jobSchemas.list.query,
+  candidate: candidateSchemas.list.query.keys({
+    q: Joi.string().trim(),
+    scope: Joi.string().valid('profile', 'resume', 'all')
+  })
+};
+
+const page = Joi.number().integer().min(1);
+const limit = Joi.number().integer().min(1).max(100);
+
+module.exports = {
+  idParams,
+  paramsSchemas,
+
+  create: {
+    body: Joi.object({
+      name: Joi.string().trim().required(),
+      entityType: Joi.string().valid('job', 'candidate').required(),
+      params: Joi.when('entityType', {
+        is: 'job',
+        then: paramsSchemas.job,
+        otherwise: paramsSchemas.candidate
+      }).default({}),
+      alertsEnabled: Joi.boolean()
+    })
+  },
+
+  // params are checked in the route, against the saved search's entityType
+  update: {
+    params: idParams,
+    body: Joi.object({
+      name: Joi.string().trim(),
+      params: Joi.object(),
+      alertsEnabled: Joi.boolean()
+    }).min(1)
+  },
+
+  alerts: {
+    query: Joi.object({
+      unread: Joi.boolean(),
+      savedSearch: objectId(),
+      page,
+      limit
+    })
+  }
+};
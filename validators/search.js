@@ -0,0 +1,24 @@
+const { Joi } = require('../middleware/validate');
+
+const TYPES = ['candidate', 'job', 'hotlist'];
+
+module.exports = {
+  TYPES,
+
+  search: {
+    query: Joi.object({
+      q: Joi.string().trim().max(200).required(),
+      types: Joi.string().custom((value, helpers) => {
+        const types = value.split(',').map(type => type.trim()).filter(Boolean);
+        const invalid = types.filter(type => !TYPES.includes(type));
+        if (invalid.length > 0 || types.length === 0) {
+          return helpers.message(`types must be a comma-separated list of: ${TYPES.join(', ')}`);
+        }
+        return types;
+      }),
+      // Mixed results are merged in memory, so paging stops at a fixed depth
+      page: Joi.number().integer().min(1).max(50),
+      limit: Joi.number().integer().min(1).max(50)
+    })
+  }
+};
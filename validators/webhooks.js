@@ -0,0 +1,44 @@
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const { Joi, objectId, idParams } = require('../middleware/validate');
+
+const url = Joi.string().trim().uri({ scheme: ['http', 'https'] });
+const events = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS, '*')).min(1).unique();
+
+module.exports = {
+  idParams,
+
+  create: {
+    body: Joi.object({
+      url: url.required(),
+      description: Joi.string().allow(''),
+      events: events.required(),
+      active: Joi.boolean()
+    })
+  },
+
+  update: {
+    params: idParams,
+    body: Joi.object({
+      url,
+      description: Joi.string().allow(''),
+      events,
+      active: Joi.boolean()
+    }).min(1)
+  },
+
+  deliveries: {
+    params: idParams,
+    query: Joi.object({
+      status: Joi.string().valid('pending', 'succeeded', 'failed'),
+      event: Joi.string().valid(...WEBHOOK_EVENTS),
+      page: Joi.number().integer().min(1),
+      limit: Joi.number().integer().min(1).max(100)
+    })
+  },
+
+  redeliver: {
+    params: Joi.object({
+      deliveryId: objectId().required()
+    })
+  }
+};